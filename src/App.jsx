@@ -0,0 +1,76 @@
+import PopulationCalculator from './components/PopulationCalculator.jsx';
+import BifurcationDiagram from './components/BifurcationDiagram.jsx';
+import ChemicalOscillator from './components/ChemicalOscillator.jsx';
+import LorenzAttractor from './components/LorenzAttractor.jsx';
+import Overview from './components/Overview.jsx';
+import useHashRoute from './hooks/useHashRoute.js';
+
+const ROUTES = [
+    {
+        path: 'population',
+        label: 'Population',
+        title: 'Population Calculator',
+        description: 'Iterate one-dimensional population models as a time series and a cobweb diagram',
+        component: PopulationCalculator
+    },
+    {
+        path: 'bifurcation',
+        label: 'Bifurcation',
+        title: 'Bifurcation Diagram',
+        description: 'Sweep a model parameter to reveal the period-doubling route to chaos',
+        component: BifurcationDiagram
+    },
+    {
+        path: 'brusselator',
+        label: 'Oscillators',
+        title: 'Chemical Oscillators',
+        description: 'Watch the Brusselator, the BZ reaction and other oscillators settle onto limit cycles',
+        component: ChemicalOscillator
+    },
+    {
+        path: 'lorenz',
+        label: 'Attractors',
+        title: 'Strange Attractors',
+        description: 'Explore the Lorenz butterfly and other chaotic flows in three dimensions',
+        component: LorenzAttractor
+    }
+];
+
+const App = () => {
+    const route = useHashRoute();
+    const activeRoute = ROUTES.find(({path}) => path === route);
+    // Only the active simulator is mounted, so hidden ones do not keep animating
+    const ActiveComponent = activeRoute && activeRoute.component;
+
+    return (
+        <div className="min-h-screen bg-gray-900 text-gray-200">
+            {/* Header */}
+            <header className="bg-gray-800 border-b border-gray-700">
+                <div className="container mx-auto px-4 max-w-7xl flex flex-wrap items-center gap-6 py-3">
+                    <a href="#/" className="text-lg font-bold text-white">
+                        Logistic React
+                    </a>
+                    <nav className="flex flex-wrap gap-1">
+                        {ROUTES.map(({path, label}) => (
+                            <a
+                                key={path}
+                                href={`#/${path}`}
+                                className={`px-3 py-2 text-sm font-medium transition-colors ${
+                                    path === route
+                                        ? 'bg-gray-700 text-white'
+                                        : 'text-gray-400 hover:text-white hover:bg-gray-700'
+                                }`}
+                            >
+                                {label}
+                            </a>
+                        ))}
+                    </nav>
+                </div>
+            </header>
+
+            {activeRoute ? <ActiveComponent key={route}/> : <Overview routes={ROUTES}/>}
+        </div>
+    );
+};
+
+export default App;
@@ -1,97 +1,350 @@
-import {useMemo, useState} from 'react';
-import {ResponsiveContainer, Scatter, ScatterChart, XAxis, YAxis} from 'recharts';
+import {useCallback, useEffect, useMemo, useRef, useState} from 'react';
+import {
+    CartesianGrid,
+    Line,
+    LineChart,
+    ReferenceLine,
+    ResponsiveContainer,
+    ScatterChart,
+    Tooltip,
+    XAxis,
+    YAxis
+} from 'recharts';
+import {COLORMAPS, getColormapLUT} from '../utils/colormaps.js';
+import {MAPS, getMap, getSweepStateRange} from '../sim/maps.js';
+import {FEIGENBAUM_DELTA, MAX_PERIOD, feigenbaumRatios} from '../sim/periods.js';
+import useUrlState from '../hooks/useUrlState.js';
+import {
+    DEFAULT_DISPLAY,
+    DEFAULT_PARAMETERS,
+    RESOLUTION_OPTIONS,
+    getModelParameters,
+    restoreDisplay,
+    restoreParameters
+} from '../utils/bifurcationSettings.js';
+import CopyLinkButton from './CopyLinkButton.jsx';
+
+// 图表边距与坐标轴尺寸，密度画布需要与绘图区精确对齐
+const CHART_MARGIN = {top: 20, right: 20, bottom: 20, left: 0};
+const Y_AXIS_WIDTH = 60;
+const X_AXIS_HEIGHT = 30;
+
+// 密度网格的行数与列数之比
+const ROWS_PER_COLUMN = 0.4;
+
+// 缩放时采样密度自动提升的上限倍数
+const MAX_SETTLE_BOOST = 5;
+const MAX_SAMPLE_BOOST = 20;
+
+// 拖拽框小于该像素尺寸时视为点击，不触发缩放
+const MIN_ZOOM_DRAG = 5;
+
+// 按周期着色时使用的类别，period 为 0 表示未检测到周期（混沌）
+const PERIOD_CLASSES = [
+    {label: 'Period 1', matches: (period) => period === 1, color: [59, 130, 246]},
+    {label: 'Period 2', matches: (period) => period === 2, color: [16, 185, 129]},
+    {label: 'Period 4', matches: (period) => period === 4, color: [234, 179, 8]},
+    {label: 'Period 8', matches: (period) => period === 8, color: [249, 115, 22]},
+    {label: 'Period 3', matches: (period) => period === 3, color: [217, 70, 239]},
+    {label: 'Other periodic', matches: (period) => period > 0, color: [34, 211, 238]},
+    {label: 'Chaotic', matches: () => true, color: [156, 163, 175]}
+];
+
+const getPeriodClass = (period) => PERIOD_CLASSES.find(periodClass => periodClass.matches(period));
+
+// 根据坐标轴跨度选择刻度的小数位数，保证深度缩放时刻度仍可区分
+const formatTick = (value, span, minDecimals = 0) => {
+    const decimals = Math.max(minDecimals, Math.ceil(-Math.log10(span)) + 1);
+    return decimals > 0 ? value.toFixed(decimals) : Math.round(value).toLocaleString();
+};
+
+const getView = ({minParameter, maxParameter, minPopulation, maxPopulation}) =>
+    ({minParameter, maxParameter, minPopulation, maxPopulation});
 
 const BifurcationDiagram = () => {
-    const [parameters, setParameters] = useState({
-        minGrowthRate: 2.0,
-        maxGrowthRate: 4.0,
-        carryingCapacity: 1000,
-        initialPopulation: 100,
-        settlePeriods: 1000, // 稳定期，跳过前面的过渡期
-        samplePeriods: 100   // 采样期，收集振荡值
-    });
-
-    // 计算双分岔图数据
-    const bifurcationData = useMemo(() => {
-        const data = [];
-        const {
-            minGrowthRate,
-            maxGrowthRate,
-            carryingCapacity,
-            initialPopulation,
-            settlePeriods,
-            samplePeriods
-        } = parameters;
-
-        // 为了保持700+数据点的密度，计算步长
-        const totalPoints = 1000;
-        const stepSize = (maxGrowthRate - minGrowthRate) / totalPoints;
-
-        for (let i = 0; i <= totalPoints; i++) {
-            const growthRate = minGrowthRate + i * stepSize;
-
-            // 对每个增长率，模拟种群动态
-            let population = initialPopulation;
-
-            // 稳定期 - 让系统达到稳定状态
-            for (let t = 0; t < settlePeriods; t++) {
-                population = growthRate * population * (1 - population / carryingCapacity);
-                population = Math.max(0, population);
-            }
+    const [parameters, setParameters] = useUrlState('bifurcation', DEFAULT_PARAMETERS, restoreParameters);
+    const [display, setDisplay] = useUrlState('bifurcation.display', DEFAULT_DISPLAY, restoreDisplay);
+    const {colormap, colorMode} = display;
+
+    // 缩放历史：views[0] 为首次缩放前的视图
+    const [zoomHistory, setZoomHistory] = useState({views: [], index: -1});
+    const [selection, setSelection] = useState(null);
+
+    const map = getMap(parameters.model);
+    const sweepDefinition = map.parameters[map.sweep.parameter];
+
+    const [hoveredParameter, setHoveredParameter] = useState(null);
+
+    const [lyapunovData, setLyapunovData] = useState([]);
+    const [progress, setProgress] = useState({completed: 0, total: 0, samples: 0});
+    const [doublings, setDoublings] = useState([]);
 
-            // 采样期 - 收集振荡的离散值
-            const oscillationValues = new Set();
-            for (let t = 0; t < samplePeriods; t++) {
-                population = growthRate * population * (1 - population / carryingCapacity);
-                population = Math.max(0, population);
+    const workerRef = useRef(null);
+    const jobIdRef = useRef(0);
+    const canvasRef = useRef(null);
+    // 列优先的访问计数网格及每列周期，由 Worker 分块填充
+    const densityRef = useRef({counts: new Uint32Array(0), periods: new Int32Array(0), columns: 0, rows: 0});
 
-                // 四舍五入到合理精度避免浮点误差
-                const roundedPop = Math.round(population * 100) / 100;
-                oscillationValues.add(roundedPop);
+    // 创建计算 Worker，组件卸载时终止
+    useEffect(() => {
+        const worker = new Worker(new URL('../workers/bifurcation.worker.js', import.meta.url), {type: 'module'});
+        workerRef.current = worker;
+
+        worker.onmessage = (event) => {
+            const {type, jobId} = event.data;
+            // 忽略已过期任务的结果
+            if (jobId !== jobIdRef.current) return;
+
+            if (type === 'doublings') {
+                setDoublings(event.data.doublings);
+                return;
             }
 
-            // 将每个振荡值作为单独的数据点
-            oscillationValues.forEach(value => {
-                data.push({
-                    growthRate: Math.round(growthRate * 1000) / 1000,
-                    population: value
-                });
+            const {density, exponents, start, end, total} = event.data;
+            const grid = densityRef.current;
+            grid.counts.set(density, start * grid.rows);
+            exponents.forEach((column, i) => {
+                grid.periods[start + i] = column.period;
             });
+
+            let samples = 0;
+            for (let i = 0; i < density.length; i++) samples += density[i];
+
+            setLyapunovData(prev => prev.concat(exponents));
+            setProgress(prev => ({completed: end, total, samples: prev.samples + samples}));
+        };
+
+        return () => {
+            worker.terminate();
+            workerRef.current = null;
+        };
+    }, []);
+
+    // 相对完整视图的缩放倍数，用于自动提高稳定期和采样期
+    const samplingBoost = useMemo(() => {
+        const baseView = zoomHistory.views[0] || getView(parameters);
+        const sweepZoom = (baseView.maxParameter - baseView.minParameter) /
+            Math.max(parameters.maxParameter - parameters.minParameter, 1e-12);
+        const populationZoom = (baseView.maxPopulation - baseView.minPopulation) /
+            Math.max(parameters.maxPopulation - parameters.minPopulation, 1e-12);
+        return {
+            settle: Math.min(Math.max(Math.sqrt(sweepZoom), 1), MAX_SETTLE_BOOST),
+            sample: Math.min(Math.max(populationZoom * Math.sqrt(sweepZoom), 1), MAX_SAMPLE_BOOST)
+        };
+    }, [parameters, zoomHistory]);
+
+    // 参数变化时提交新任务，Worker 会放弃旧任务
+    useEffect(() => {
+        const worker = workerRef.current;
+        if (!worker) return;
+
+        const jobId = jobIdRef.current + 1;
+        jobIdRef.current = jobId;
+
+        const columns = parameters.resolution;
+        const rows = Math.round(columns * ROWS_PER_COLUMN);
+        densityRef.current = {
+            counts: new Uint32Array(columns * rows),
+            periods: new Int32Array(columns),
+            columns,
+            rows
+        };
+
+        setLyapunovData([]);
+        setDoublings([]);
+        setProgress({completed: 0, total: 0, samples: 0});
+        worker.postMessage({
+            jobId,
+            rows,
+            parameters: {
+                ...parameters,
+                settlePeriods: Math.round(parameters.settlePeriods * samplingBoost.settle),
+                samplePeriods: Math.round(parameters.samplePeriods * samplingBoost.sample)
+            }
+        });
+    }, [parameters, samplingBoost]);
+
+    // 将访问计数以对数亮度映射到颜色表（或按周期着色），绘制到画布
+    const drawDensity = useCallback(() => {
+        const canvas = canvasRef.current;
+        if (!canvas) return;
+
+        const {counts, periods, columns, rows} = densityRef.current;
+        if (canvas.width !== columns) canvas.width = columns;
+        if (canvas.height !== rows) canvas.height = rows;
+        if (columns === 0 || rows === 0) return;
+
+        const ctx = canvas.getContext('2d');
+        const image = ctx.createImageData(columns, rows);
+        const pixels = image.data;
+        const lut = getColormapLUT(colormap);
+
+        let maxCount = 0;
+        for (let i = 0; i < counts.length; i++) {
+            if (counts[i] > maxCount) maxCount = counts[i];
+        }
+        const logMax = Math.log1p(maxCount);
+
+        for (let column = 0; column < columns; column++) {
+            const periodColor = getPeriodClass(periods[column]).color;
+            for (let row = 0; row < rows; row++) {
+                const count = counts[column * rows + row];
+                if (count === 0) continue;
+
+                // 第 0 行在底部
+                const pixel = ((rows - 1 - row) * columns + column) * 4;
+                const level = Math.log1p(count) / logMax;
+                if (colorMode === 'period') {
+                    // 周期模式下亮度仍随访问次数变化
+                    const brightness = 0.35 + 0.65 * level;
+                    pixels[pixel] = periodColor[0] * brightness;
+                    pixels[pixel + 1] = periodColor[1] * brightness;
+                    pixels[pixel + 2] = periodColor[2] * brightness;
+                } else {
+                    const index = Math.round(level * 255) * 3;
+                    pixels[pixel] = lut[index];
+                    pixels[pixel + 1] = lut[index + 1];
+                    pixels[pixel + 2] = lut[index + 2];
+                }
+                pixels[pixel + 3] = 255;
+            }
         }
 
-        return data;
-    }, [parameters]);
+        ctx.putImageData(image, 0, 0);
+    }, [colormap, colorMode]);
+
+    const ratios = feigenbaumRatios(doublings);
+
+    useEffect(() => {
+        drawDensity();
+    }, [drawDensity, progress]);
+
+    const isComputing = progress.total === 0 || progress.completed < progress.total;
+    const progressPercent = progress.total > 0 ? Math.round(progress.completed / progress.total * 100) : 0;
 
     const updateParameter = (key, value) => {
-        setParameters(prev => ({
-            ...prev,
-            [key]: parseFloat(value) || 0
-        }));
+        const numericValue = parseFloat(value) || 0;
+        setParameters(prev => {
+            const next = {...prev, [key]: numericValue};
+            // 修改模型参数时纵轴窗口随之复位
+            if (key in getMap(prev.model).parameters) {
+                [next.minPopulation, next.maxPopulation] =
+                    getSweepStateRange(prev.model, next, prev.minParameter, prev.maxParameter);
+            }
+            return next;
+        });
+    };
+
+    const selectModel = (model) => {
+        setParameters(prev => getModelParameters(model, prev));
+        setZoomHistory({views: [], index: -1});
     };
 
     const resetParameters = () => {
-        setParameters({
-            minGrowthRate: 2.0,
-            maxGrowthRate: 4.0,
-            carryingCapacity: 1000,
-            initialPopulation: 100,
-            settlePeriods: 1000,
-            samplePeriods: 100
+        setParameters(DEFAULT_PARAMETERS);
+        setZoomHistory({views: [], index: -1});
+    };
+
+    const applyView = (view) => {
+        setParameters(prev => ({...prev, ...view}));
+    };
+
+    const pushView = (view) => {
+        setZoomHistory(prev => {
+            const views = prev.index < 0 ? [getView(parameters)] : prev.views.slice(0, prev.index + 1);
+            views.push(view);
+            return {views, index: views.length - 1};
+        });
+        applyView(view);
+    };
+
+    const zoomBack = () => {
+        if (zoomHistory.index <= 0) return;
+        applyView(zoomHistory.views[zoomHistory.index - 1]);
+        setZoomHistory(prev => ({...prev, index: prev.index - 1}));
+    };
+
+    const zoomForward = () => {
+        if (zoomHistory.index >= zoomHistory.views.length - 1) return;
+        applyView(zoomHistory.views[zoomHistory.index + 1]);
+        setZoomHistory(prev => ({...prev, index: prev.index + 1}));
+    };
+
+    const resetView = () => {
+        if (zoomHistory.index <= 0) return;
+        pushView(zoomHistory.views[0]);
+    };
+
+    // 拖拽选区以绘图区内的比例坐标 (0-1) 记录
+    const getPlotFraction = (event) => {
+        const rect = event.currentTarget.getBoundingClientRect();
+        return {
+            x: Math.min(Math.max((event.clientX - rect.left) / rect.width, 0), 1),
+            y: Math.min(Math.max((event.clientY - rect.top) / rect.height, 0), 1),
+            width: rect.width,
+            height: rect.height
+        };
+    };
+
+    const onZoomPointerDown = (event) => {
+        if (event.button !== 0) return;
+        event.currentTarget.setPointerCapture(event.pointerId);
+        const {x, y} = getPlotFraction(event);
+        setSelection({x0: x, y0: y, x1: x, y1: y});
+    };
+
+    const onZoomPointerMove = (event) => {
+        if (!selection) return;
+        const {x, y} = getPlotFraction(event);
+        setSelection(prev => prev && {...prev, x1: x, y1: y});
+    };
+
+    const onZoomPointerUp = (event) => {
+        if (!selection) return;
+        const {x, y, width, height} = getPlotFraction(event);
+        setSelection(null);
+
+        const left = Math.min(selection.x0, x);
+        const right = Math.max(selection.x0, x);
+        const top = Math.min(selection.y0, y);
+        const bottom = Math.max(selection.y0, y);
+        if ((right - left) * width < MIN_ZOOM_DRAG || (bottom - top) * height < MIN_ZOOM_DRAG) return;
+
+        const {minParameter, maxParameter, minPopulation, maxPopulation} = parameters;
+        const sweepSpan = maxParameter - minParameter;
+        const populationSpan = maxPopulation - minPopulation;
+        pushView({
+            minParameter: minParameter + left * sweepSpan,
+            maxParameter: minParameter + right * sweepSpan,
+            // 纵轴向下增长，顶部对应最大种群
+            minPopulation: maxPopulation - bottom * populationSpan,
+            maxPopulation: maxPopulation - top * populationSpan
         });
     };
 
-    // 自定义点渲染器 - 渲染为1像素半透明点
-    const CustomDot = (props) => {
-        const {cx, cy} = props;
-        return (
-            <circle
-                cx={cx}
-                cy={cy}
-                r={0.5}
-                fill="rgba(59, 130, 246, 0.6)"
-                stroke="none"
-            />
-        );
+    const parameterSpan = parameters.maxParameter - parameters.minParameter;
+    const populationSpan = parameters.maxPopulation - parameters.minPopulation;
+    const canZoomBack = zoomHistory.index > 0;
+    const canZoomForward = zoomHistory.index < zoomHistory.views.length - 1;
+
+    const updateHoveredParameter = (state) => {
+        setHoveredParameter(state && state.isTooltipActive ? state.activeLabel : null);
+    };
+
+    const LyapunovTooltip = ({active, payload, label}) => {
+        if (active && payload && payload.length) {
+            const {lyapunov, period} = payload[0].payload;
+            return (<div className="bg-gray-800 text-gray-200 p-3 border border-gray-600 text-sm">
+                <p className="font-medium">{`${sweepDefinition.label} ${formatTick(label, parameterSpan / 100, 3)}`}</p>
+                <p className={lyapunov > 0 ? 'text-red-400' : 'text-blue-400'}>
+                    {`λ = ${lyapunov.toFixed(4)} (${lyapunov > 0 ? 'chaotic' : 'periodic'})`}
+                </p>
+                <p className="text-gray-400">
+                    {period > 0 ? `Detected period: ${period}` : `No period ≤ ${MAX_PERIOD} detected`}
+                </p>
+            </div>);
+        }
+        return null;
     };
 
     return (
@@ -100,10 +353,10 @@ const BifurcationDiagram = () => {
                 {/* Header */}
                 <div className="mb-8">
                     <h1 className="text-3xl font-bold text-white mb-3">
-                        Logistic Growth Bifurcation Diagram
+                        {map.label} Map Bifurcation Diagram
                     </h1>
                     <p className="text-gray-400 text-lg">
-                        Visualize population oscillation patterns across different growth rates
+                        Visualize oscillation patterns across different values of {sweepDefinition.label.toLowerCase()} ({sweepDefinition.symbol})
                     </p>
                 </div>
 
@@ -112,56 +365,78 @@ const BifurcationDiagram = () => {
                     <div className="grid grid-cols-1 md:grid-cols-3 lg:grid-cols-6 gap-4 mb-6">
                         <div className="space-y-2">
                             <label className="block text-gray-200 font-medium text-sm">
-                                Min Growth Rate
+                                Model
                             </label>
-                            <input
-                                type="number"
-                                step="0.1"
-                                min="0.1"
-                                max="4.0"
-                                value={parameters.minGrowthRate}
-                                onChange={(e) => updateParameter('minGrowthRate', e.target.value)}
+                            <select
+                                value={parameters.model}
+                                onChange={(e) => selectModel(e.target.value)}
                                 className="w-full p-2 bg-gray-700 border border-gray-600 text-gray-200 text-sm focus:border-blue-500 focus:outline-none"
-                            />
+                            >
+                                {Object.entries(MAPS).map(([key, {label}]) => (
+                                    <option key={key} value={key}>{label}</option>
+                                ))}
+                            </select>
                         </div>
 
                         <div className="space-y-2">
                             <label className="block text-gray-200 font-medium text-sm">
-                                Max Growth Rate
+                                Min {sweepDefinition.label} ({sweepDefinition.symbol})
                             </label>
                             <input
                                 type="number"
-                                step="0.1"
-                                min="0.1"
-                                max="4.0"
-                                value={parameters.maxGrowthRate}
-                                onChange={(e) => updateParameter('maxGrowthRate', e.target.value)}
+                                step={sweepDefinition.step}
+                                min={sweepDefinition.min}
+                                max={sweepDefinition.max}
+                                value={parameters.minParameter}
+                                onChange={(e) => updateParameter('minParameter', e.target.value)}
                                 className="w-full p-2 bg-gray-700 border border-gray-600 text-gray-200 text-sm focus:border-blue-500 focus:outline-none"
                             />
                         </div>
 
                         <div className="space-y-2">
                             <label className="block text-gray-200 font-medium text-sm">
-                                Carrying Capacity
+                                Max {sweepDefinition.label} ({sweepDefinition.symbol})
                             </label>
                             <input
                                 type="number"
-                                min="100"
-                                max="10000"
-                                value={parameters.carryingCapacity}
-                                onChange={(e) => updateParameter('carryingCapacity', e.target.value)}
+                                step={sweepDefinition.step}
+                                min={sweepDefinition.min}
+                                max={sweepDefinition.max}
+                                value={parameters.maxParameter}
+                                onChange={(e) => updateParameter('maxParameter', e.target.value)}
                                 className="w-full p-2 bg-gray-700 border border-gray-600 text-gray-200 text-sm focus:border-blue-500 focus:outline-none"
                             />
                         </div>
 
+                        {/* 扫描参数之外的模型参数 */}
+                        {Object.entries(map.parameters)
+                            .filter(([key]) => key !== map.sweep.parameter)
+                            .map(([key, definition]) => (
+                                <div key={key} className="space-y-2">
+                                    <label className="block text-gray-200 font-medium text-sm">
+                                        {definition.label} ({definition.symbol})
+                                    </label>
+                                    <input
+                                        type="number"
+                                        step={definition.step}
+                                        min={definition.min}
+                                        max={definition.max}
+                                        value={parameters[key]}
+                                        onChange={(e) => updateParameter(key, e.target.value)}
+                                        className="w-full p-2 bg-gray-700 border border-gray-600 text-gray-200 text-sm focus:border-blue-500 focus:outline-none"
+                                    />
+                                </div>
+                            ))}
+
                         <div className="space-y-2">
                             <label className="block text-gray-200 font-medium text-sm">
-                                Initial Population
+                                {map.initial.label}
                             </label>
                             <input
                                 type="number"
-                                min="1"
-                                max="1000"
+                                step={map.initial.step}
+                                min={map.initial.min}
+                                max={map.initial.max}
                                 value={parameters.initialPopulation}
                                 onChange={(e) => updateParameter('initialPopulation', e.target.value)}
                                 className="w-full p-2 bg-gray-700 border border-gray-600 text-gray-200 text-sm focus:border-blue-500 focus:outline-none"
@@ -195,6 +470,50 @@ const BifurcationDiagram = () => {
                                 className="w-full p-2 bg-gray-700 border border-gray-600 text-gray-200 text-sm focus:outline-none"
                             />
                         </div>
+
+                        <div className="space-y-2">
+                            <label className="block text-gray-200 font-medium text-sm">
+                                Resolution ({sweepDefinition.symbol}-columns)
+                            </label>
+                            <select
+                                value={parameters.resolution}
+                                onChange={(e) => updateParameter('resolution', e.target.value)}
+                                className="w-full p-2 bg-gray-700 border border-gray-600 text-gray-200 text-sm focus:border-blue-500 focus:outline-none"
+                            >
+                                {RESOLUTION_OPTIONS.map(option => (
+                                    <option key={option} value={option}>{option}</option>
+                                ))}
+                            </select>
+                        </div>
+
+                        <div className="space-y-2">
+                            <label className="block text-gray-200 font-medium text-sm">
+                                Colormap
+                            </label>
+                            <select
+                                value={colormap}
+                                onChange={(e) => setDisplay(prev => ({...prev, colormap: e.target.value}))}
+                                className="w-full p-2 bg-gray-700 border border-gray-600 text-gray-200 text-sm focus:border-blue-500 focus:outline-none"
+                            >
+                                {Object.entries(COLORMAPS).map(([key, {label}]) => (
+                                    <option key={key} value={key}>{label}</option>
+                                ))}
+                            </select>
+                        </div>
+
+                        <div className="space-y-2">
+                            <label className="block text-gray-200 font-medium text-sm">
+                                Color By
+                            </label>
+                            <select
+                                value={colorMode}
+                                onChange={(e) => setDisplay(prev => ({...prev, colorMode: e.target.value}))}
+                                className="w-full p-2 bg-gray-700 border border-gray-600 text-gray-200 text-sm focus:border-blue-500 focus:outline-none"
+                            >
+                                <option value="density">Visit density</option>
+                                <option value="period">Detected period</option>
+                            </select>
+                        </div>
                     </div>
 
                     <div className="flex gap-4">
@@ -204,9 +523,42 @@ const BifurcationDiagram = () => {
                         >
                             Reset Parameters
                         </button>
+                        <button
+                            onClick={zoomBack}
+                            disabled={!canZoomBack}
+                            className="px-4 py-2 bg-gray-600 text-white font-medium hover:bg-gray-700 transition-colors text-sm disabled:opacity-50"
+                        >
+                            ← Back
+                        </button>
+                        <button
+                            onClick={zoomForward}
+                            disabled={!canZoomForward}
+                            className="px-4 py-2 bg-gray-600 text-white font-medium hover:bg-gray-700 transition-colors text-sm disabled:opacity-50"
+                        >
+                            Forward →
+                        </button>
+                        <button
+                            onClick={resetView}
+                            disabled={!canZoomBack}
+                            className="px-4 py-2 bg-blue-600 text-white font-medium hover:bg-blue-700 transition-colors text-sm disabled:opacity-50"
+                        >
+                            Reset View
+                        </button>
+                        <CopyLinkButton/>
                         <div className="text-sm text-gray-400 flex items-center">
-                            Data points: {bifurcationData.length.toLocaleString()}
+                            Data points: {progress.samples.toLocaleString()}
                         </div>
+                        {isComputing && (
+                            <div className="text-sm text-gray-400 flex items-center gap-2">
+                                <div className="w-32 h-2 bg-gray-700">
+                                    <div
+                                        className="h-2 bg-blue-500 transition-all"
+                                        style={{width: `${progressPercent}%`}}
+                                    />
+                                </div>
+                                Computing… {progressPercent}%
+                            </div>
+                        )}
                     </div>
                 </div>
 
@@ -216,45 +568,194 @@ const BifurcationDiagram = () => {
                         Bifurcation Diagram
                     </h3>
                     <div className="text-sm text-gray-400 mb-4">
-                        X-axis: Growth Rate | Y-axis: Population Oscillation Values
+                        X-axis: {sweepDefinition.label} | Y-axis: {map.stateLabel} Oscillation Values | Drag a rectangle to zoom
+                        {(samplingBoost.settle > 1 || samplingBoost.sample > 1) && (
+                            <span className="ml-2 text-gray-500">
+                                (sampling ×{samplingBoost.sample.toFixed(1)}, settling ×{samplingBoost.settle.toFixed(1)})
+                            </span>
+                        )}
                     </div>
 
-                    <div className="h-96 w-full">
+                    <div className="h-96 w-full relative">
+                        {/* 密度画布叠放在绘图区上，坐标轴仍由 Recharts 绘制 */}
+                        <canvas
+                            ref={canvasRef}
+                            className="absolute pointer-events-none"
+                            style={{
+                                left: CHART_MARGIN.left + Y_AXIS_WIDTH,
+                                top: CHART_MARGIN.top,
+                                width: `calc(100% - ${CHART_MARGIN.left + Y_AXIS_WIDTH + CHART_MARGIN.right}px)`,
+                                height: `calc(100% - ${CHART_MARGIN.top + CHART_MARGIN.bottom + X_AXIS_HEIGHT}px)`
+                            }}
+                        />
+                        {/* 拖拽缩放层，与画布覆盖同一绘图区 */}
+                        <div
+                            className="absolute z-10 cursor-crosshair touch-none"
+                            style={{
+                                left: CHART_MARGIN.left + Y_AXIS_WIDTH,
+                                top: CHART_MARGIN.top,
+                                width: `calc(100% - ${CHART_MARGIN.left + Y_AXIS_WIDTH + CHART_MARGIN.right}px)`,
+                                height: `calc(100% - ${CHART_MARGIN.top + CHART_MARGIN.bottom + X_AXIS_HEIGHT}px)`
+                            }}
+                            onPointerDown={onZoomPointerDown}
+                            onPointerMove={onZoomPointerMove}
+                            onPointerUp={onZoomPointerUp}
+                            onPointerCancel={() => setSelection(null)}
+                        >
+                            {selection && (
+                                <div
+                                    className="absolute border border-yellow-400 bg-yellow-400/10 pointer-events-none"
+                                    style={{
+                                        left: `${Math.min(selection.x0, selection.x1) * 100}%`,
+                                        top: `${Math.min(selection.y0, selection.y1) * 100}%`,
+                                        width: `${Math.abs(selection.x1 - selection.x0) * 100}%`,
+                                        height: `${Math.abs(selection.y1 - selection.y0) * 100}%`
+                                    }}
+                                />
+                            )}
+                        </div>
                         <ResponsiveContainer width="100%" height="100%">
-                            <ScatterChart
-                                data={bifurcationData}
-                                margin={{top: 20, right: 20, bottom: 20, left: 0}}
-                            >
+                            <ScatterChart margin={CHART_MARGIN}>
                                 <XAxis
                                     type="number"
-                                    dataKey="growthRate"
-                                    domain={[parameters.minGrowthRate, parameters.maxGrowthRate]}
-                                    name="Growth Rate"
+                                    dataKey="parameter"
+                                    domain={[parameters.minParameter, parameters.maxParameter]}
+                                    name={sweepDefinition.label}
                                     stroke="#9CA3AF"
                                     fontSize={12}
-                                    tickFormatter={(value) => value.toFixed(1)}
+                                    height={X_AXIS_HEIGHT}
+                                    allowDataOverflow
+                                    tickFormatter={(value) => formatTick(value, parameterSpan, 1)}
                                 />
                                 <YAxis
                                     type="number"
                                     dataKey="population"
-                                    domain={[0, parameters.carryingCapacity]}
-                                    name="Population"
+                                    domain={[parameters.minPopulation, parameters.maxPopulation]}
+                                    name={map.stateLabel}
                                     stroke="#9CA3AF"
                                     fontSize={12}
-                                    tickFormatter={(value) => Math.round(value).toLocaleString()}
-                                />
-                                <Scatter
-                                    data={bifurcationData}
-                                    shape={CustomDot}
+                                    width={Y_AXIS_WIDTH}
+                                    allowDataOverflow
+                                    tickFormatter={(value) => formatTick(value, populationSpan)}
                                 />
+                                {doublings.map(({value, to}) => (
+                                    <ReferenceLine key={to} x={value} stroke="#6B7280" strokeDasharray="2 4"/>
+                                ))}
+                                {hoveredParameter !== null && (
+                                    <ReferenceLine x={hoveredParameter} stroke="#F59E0B" strokeDasharray="3 3"/>
+                                )}
                             </ScatterChart>
                         </ResponsiveContainer>
                     </div>
 
+                    {colorMode === 'period' && (
+                        <div className="flex flex-wrap gap-4 mt-2 text-xs text-gray-400">
+                            {PERIOD_CLASSES.map(({label, color}) => (
+                                <div key={label} className="flex items-center gap-1">
+                                    <span className="inline-block w-3 h-3" style={{backgroundColor: `rgb(${color.join(', ')})`}}/>
+                                    {label}
+                                </div>
+                            ))}
+                        </div>
+                    )}
+
+                    <h3 className="text-xl font-bold text-white mt-8 mb-4">
+                        Lyapunov Exponent
+                    </h3>
+                    <div className="text-sm text-gray-400 mb-4">
+                        X-axis: {sweepDefinition.label} | Y-axis: λ({sweepDefinition.symbol}) — positive values indicate chaos, negative values a stable cycle
+                    </div>
+
+                    <div className="h-64 w-full">
+                        <ResponsiveContainer width="100%" height="100%">
+                            <LineChart
+                                data={lyapunovData}
+                                margin={CHART_MARGIN}
+                                onMouseMove={updateHoveredParameter}
+                                onMouseLeave={() => setHoveredParameter(null)}
+                            >
+                                <CartesianGrid strokeDasharray="3 3" stroke="#374151"/>
+                                <XAxis
+                                    type="number"
+                                    dataKey="parameter"
+                                    domain={[parameters.minParameter, parameters.maxParameter]}
+                                    name={sweepDefinition.label}
+                                    stroke="#9CA3AF"
+                                    fontSize={12}
+                                    height={X_AXIS_HEIGHT}
+                                    allowDataOverflow
+                                    tickFormatter={(value) => formatTick(value, parameterSpan, 1)}
+                                />
+                                <YAxis
+                                    type="number"
+                                    domain={[-2, 1]}
+                                    allowDataOverflow
+                                    stroke="#9CA3AF"
+                                    fontSize={12}
+                                    width={Y_AXIS_WIDTH}
+                                    tickFormatter={(value) => value.toFixed(1)}
+                                />
+                                <Tooltip content={<LyapunovTooltip/>}/>
+                                <ReferenceLine y={0} stroke="#9CA3AF"/>
+                                <Line
+                                    type="linear"
+                                    dataKey="lyapunov"
+                                    stroke="#EF4444"
+                                    strokeWidth={1}
+                                    dot={false}
+                                    isAnimationActive={false}
+                                />
+                            </LineChart>
+                        </ResponsiveContainer>
+                    </div>
+
+                    <div className="mt-4 text-xs text-gray-500">
+                        <p>• {map.formula}</p>
+                        {map.description.map(line => <p key={line}>• {line}</p>)}
+                        <p>• Each pixel counts how often the orbit visits that {map.stateLabel.toLowerCase()} range; brightness is log-scaled</p>
+                        <p>• λ({sweepDefinition.symbol}) = average of ln|f′(x)| along the orbit: λ &lt; 0 means a stable cycle, λ &gt; 0 means chaos</p>
+                        <p>• Hover over the Lyapunov chart to mark the same {sweepDefinition.label.toLowerCase()} on the bifurcation diagram</p>
+                        <p>• Drag on the diagram to zoom into a window; sampling density rises automatically with the zoom level</p>
+                    </div>
+                </div>
+
+                {/* Period-Doubling Cascade */}
+                <div className="bg-gray-800 border border-gray-700 p-6 mt-8">
+                    <h3 className="text-xl font-bold text-white mb-4">
+                        Period-Doubling Cascade
+                    </h3>
+                    {doublings.length === 0 ? (
+                        <div className="text-sm text-gray-400">
+                            {isComputing
+                                ? 'Waiting for the diagram to finish…'
+                                : 'No period-doubling cascade starting from period 1 was found in this range'}
+                        </div>
+                    ) : (
+                        <table className="w-full text-sm text-left">
+                            <thead className="text-gray-400 border-b border-gray-700">
+                                <tr>
+                                    <th className="py-2 pr-4 font-medium">n</th>
+                                    <th className="py-2 pr-4 font-medium">Doubling</th>
+                                    <th className="py-2 pr-4 font-medium">{sweepDefinition.symbol}ₙ</th>
+                                    <th className="py-2 pr-4 font-medium">δₙ = ({sweepDefinition.symbol}ₙ - {sweepDefinition.symbol}ₙ₋₁) / ({sweepDefinition.symbol}ₙ₊₁ - {sweepDefinition.symbol}ₙ)</th>
+                                </tr>
+                            </thead>
+                            <tbody className="font-mono">
+                                {doublings.map(({from, to, value}, n) => (
+                                    <tr key={to} className="border-b border-gray-700">
+                                        <td className="py-2 pr-4">{n + 1}</td>
+                                        <td className="py-2 pr-4">{from} → {to}</td>
+                                        <td className="py-2 pr-4">{value.toFixed(6)}</td>
+                                        <td className="py-2 pr-4">{n >= 1 && ratios[n - 1] !== undefined ? ratios[n - 1].toFixed(4) : '—'}</td>
+                                    </tr>
+                                ))}
+                            </tbody>
+                        </table>
+                    )}
                     <div className="mt-4 text-xs text-gray-500">
-                        <p>• Each point represents a discrete population value in the oscillation pattern</p>
-                        <p>• Different growth rates show different behaviors: stable points, cycles, or chaos</p>
-                        <p>• The diagram reveals period-doubling route to chaos in logistic dynamics</p>
+                        <p>• Periods are detected with a tolerance-based cycle finder (up to period {MAX_PERIOD})</p>
+                        <p>• Each doubling point is refined to where the cycle's multiplier crosses -1</p>
+                        <p>• The ratios δₙ converge to Feigenbaum's constant δ = {FEIGENBAUM_DELTA.toFixed(6)}…</p>
                     </div>
                 </div>
             </div>
@@ -1,77 +1,431 @@
-import React, {useCallback, useEffect, useRef, useState} from 'react';
+import React, {useCallback, useEffect, useMemo, useRef, useState} from 'react';
+import useUrlState, {restoreNumber, restoreNumbers} from '../hooks/useUrlState.js';
+import CopyLinkButton from './CopyLinkButton.jsx';
+import ReactionDiffusion from './ReactionDiffusion.jsx';
+import {COLORMAPS} from '../utils/colormaps.js';
+import {
+    BOUNDARIES,
+    DEFAULT_OSCILLATOR,
+    GRID_SIZES,
+    MIN_DIFFUSION,
+    OSCILLATORS,
+    STOCHASTIC_METHODS,
+    getDefaultOscillatorParameters,
+    getOscillator,
+    dominantFrequency,
+    integrate,
+    linearStability,
+    oscillationPeriod,
+    powerSpectrum,
+    simulateReactions,
+    toCounts
+} from '../sim/index.js';
+
+const MODES = {
+    mixed: {label: 'Well-Mixed'},
+    spatial: {label: 'Reaction–Diffusion (2D)'}
+};
+
+const KINETICS = {
+    deterministic: {label: 'Deterministic (RK4)'},
+    ...STOCHASTIC_METHODS
+};
+
+const TOGGLES = ['on', 'off'];
+
+// Range of the system size Ω; the cost of the exact SSA grows in proportion to Ω
+const OMEGA_RANGE = {min: 1, max: 100000};
+
+// Settings of the reaction–diffusion and stochastic modes, kept when switching models
+const MODE_DEFAULTS = {
+    mode: 'mixed',
+    gridSize: 128,
+    Dx: 2,
+    Dy: 16,
+    boundary: 'periodic',
+    colormap: 'viridis',
+    kinetics: 'deterministic',
+    omega: 200,
+    overlay: 'on'
+};
+
+const DEFAULT_SETTINGS = {
+    model: DEFAULT_OSCILLATOR,
+    ...getDefaultOscillatorParameters(DEFAULT_OSCILLATOR),
+    ...MODE_DEFAULTS
+};
+
+const getModeSettings = (settings) => Object.fromEntries(
+    Object.keys(MODE_DEFAULTS).map(key => [key, settings[key]])
+);
+
+// Links may carry an unknown model; its parameters start from that model's defaults and are clamped to their ranges.
+// Unknown choices, diffusion coefficients and system sizes out of range are clamped or fall back to the defaults, and
+// unknown keys are dropped.
+const restoreSettings = (values) => {
+    const model = values.model in OSCILLATORS ? values.model : DEFAULT_OSCILLATOR;
+    const defaults = getDefaultOscillatorParameters(model);
+    return {
+        model,
+        ...restoreNumbers(values, getOscillator(model).parameters, defaults),
+        mode: values.mode in MODES ? values.mode : MODE_DEFAULTS.mode,
+        gridSize: GRID_SIZES.includes(values.gridSize) ? values.gridSize : MODE_DEFAULTS.gridSize,
+        Dx: restoreNumber(values.Dx, MODE_DEFAULTS.Dx, MIN_DIFFUSION),
+        Dy: restoreNumber(values.Dy, MODE_DEFAULTS.Dy, MIN_DIFFUSION),
+        boundary: values.boundary in BOUNDARIES ? values.boundary : MODE_DEFAULTS.boundary,
+        colormap: values.colormap in COLORMAPS ? values.colormap : MODE_DEFAULTS.colormap,
+        kinetics: values.kinetics in KINETICS ? values.kinetics : MODE_DEFAULTS.kinetics,
+        omega: restoreNumber(values.omega, MODE_DEFAULTS.omega, OMEGA_RANGE.min, OMEGA_RANGE.max),
+        overlay: TOGGLES.includes(values.overlay) ? values.overlay : MODE_DEFAULTS.overlay
+    };
+};
+
+const getOscillatorParameters = (settings) => Object.fromEntries(
+    Object.keys(getOscillator(settings.model).parameters).map(key => [key, settings[key]])
+);
+
+// Complex number as text, e.g. 0.25 ± 1.98i for a conjugate pair
+const formatEigenvalue = ({re, im}) => (
+    im === 0 ? re.toFixed(3) : `${re.toFixed(3)} ${im < 0 ? '−' : '+'} ${Math.abs(im).toFixed(3)}i`
+);
+
+const STABILITY_NOTES = {
+    'stable node': 'Both eigenvalues are real and negative: the variables decay monotonically to the steady state',
+    'stable focus': 'Complex eigenvalues with negative real part: the variables spiral into the steady state as damped oscillations',
+    'center': 'The eigenvalues are purely imaginary: nearby orbits close on themselves, as at a Hopf point or in a conservative system',
+    'unstable focus': 'Complex eigenvalues with positive real part: trajectories spiral away from the steady state and settle on a limit cycle',
+    'unstable node': 'Both eigenvalues are real and positive: trajectories leave the steady state and settle on a limit cycle',
+    'saddle': 'Real eigenvalues of opposite sign: the steady state is a saddle'
+};
+
+const FIELD_MODES = {
+    none: {label: 'None'},
+    arrows: {label: 'Direction Field'},
+    streamlines: {label: 'Streamlines'}
+};
+
+const CLICK_MODES = {
+    restart: {label: 'Restart From Point'},
+    add: {label: 'Add Trajectory'}
+};
+
+// Colors of the trajectories added by clicking; the oldest is dropped once all are in use
+const EXTRA_COLORS = ['#ffa94d', '#f783ac', '#b197fc', '#74c0fc', '#c0eb75', '#ffe066'];
+
+// Grid of the direction field and of the streamline seeds, in cells across the phase plane
+const ARROW_GRID = 20;
+const STREAMLINE_GRID = 8;
+
+// Each streamline is traced this many steps in each direction from its seed
+const STREAMLINE_STEPS = 60;
+
+// Screen mapping of the phase plane: canvas coordinates of a point and pixels per unit along each axis
+const getPhaseTransform = (bounds, width, height) => {
+    const scaleX = width / (bounds.x[1] - bounds.x[0]);
+    const scaleY = height / (bounds.y[1] - bounds.y[0]);
+    return {
+        toX: (value) => (value - bounds.x[0]) * scaleX,
+        toY: (value) => height - (value - bounds.y[0]) * scaleY,
+        scaleX,
+        scaleY
+    };
+};
+
+// Draws arrows of equal length along the flow on a grid, fainter where the flow is slow
+const drawDirectionField = (ctx, derivatives, bounds, transform) => {
+    const cellX = (bounds.x[1] - bounds.x[0]) / ARROW_GRID;
+    const cellY = (bounds.y[1] - bounds.y[0]) / ARROW_GRID;
+    const vectors = [];
+    let maxSpeed = 0;
+    for (let i = 0; i < ARROW_GRID; i++) {
+        for (let j = 0; j < ARROW_GRID; j++) {
+            const x = bounds.x[0] + (i + 0.5) * cellX;
+            const y = bounds.y[0] + (j + 0.5) * cellY;
+            const [dx, dy] = derivatives([x, y]);
+            const speed = Math.hypot(dx, dy);
+            maxSpeed = Math.max(maxSpeed, speed);
+            vectors.push({x, y, dx, dy, speed});
+        }
+    }
+
+    // Arrows point along the flow on screen, where the axes may have different scales
+    const length = 0.4 * Math.min(cellX * transform.scaleX, cellY * transform.scaleY);
+    ctx.lineWidth = 1;
+    vectors.forEach(({x, y, dx, dy, speed}) => {
+        if (speed === 0) return;
+        const angle = Math.atan2(-dy * transform.scaleY, dx * transform.scaleX);
+        const startX = transform.toX(x) - Math.cos(angle) * length;
+        const startY = transform.toY(y) - Math.sin(angle) * length;
+        const endX = transform.toX(x) + Math.cos(angle) * length;
+        const endY = transform.toY(y) + Math.sin(angle) * length;
+
+        ctx.strokeStyle = `rgba(156, 163, 175, ${0.25 + 0.55 * Math.log1p(speed) / Math.log1p(maxSpeed)})`;
+        ctx.beginPath();
+        ctx.moveTo(startX, startY);
+        ctx.lineTo(endX, endY);
+        ctx.lineTo(endX - 4 * Math.cos(angle - 0.5), endY - 4 * Math.sin(angle - 0.5));
+        ctx.moveTo(endX, endY);
+        ctx.lineTo(endX - 4 * Math.cos(angle + 0.5), endY - 4 * Math.sin(angle + 0.5));
+        ctx.stroke();
+    });
+};
+
+// Traces curves tangent to the flow, forwards and backwards from a grid of seeds, in steps of 1% of the view on screen
+const drawStreamlines = (ctx, derivatives, bounds, transform) => {
+    const step = 0.01 * Math.min(
+        (bounds.x[1] - bounds.x[0]) * transform.scaleX,
+        (bounds.y[1] - bounds.y[0]) * transform.scaleY
+    );
+    const inView = (x, y) => x >= bounds.x[0] && x <= bounds.x[1] && y >= bounds.y[0] && y <= bounds.y[1];
+
+    ctx.strokeStyle = 'rgba(156, 163, 175, 0.45)';
+    ctx.lineWidth = 1;
+    for (let i = 0; i < STREAMLINE_GRID; i++) {
+        for (let j = 0; j < STREAMLINE_GRID; j++) {
+            const seed = [
+                bounds.x[0] + (i + 0.5) * (bounds.x[1] - bounds.x[0]) / STREAMLINE_GRID,
+                bounds.y[0] + (j + 0.5) * (bounds.y[1] - bounds.y[0]) / STREAMLINE_GRID
+            ];
+            [1, -1].forEach(direction => {
+                let [x, y] = seed;
+                ctx.beginPath();
+                ctx.moveTo(transform.toX(x), transform.toY(y));
+                for (let k = 0; k < STREAMLINE_STEPS; k++) {
+                    const [dx, dy] = derivatives([x, y]);
+                    // Length of the step on screen
+                    const pixels = Math.hypot(dx * transform.scaleX, dy * transform.scaleY);
+                    if (pixels === 0) break;
+                    x += direction * step * dx / pixels;
+                    y += direction * step * dy / pixels;
+                    if (!inView(x, y)) break;
+                    ctx.lineTo(transform.toX(x), transform.toY(y));
+                }
+                ctx.stroke();
+            });
+        }
+    }
+};
+
+// Range covering the model's default view and every value given
+const extendRange = ([min, max], values) => [Math.min(min, ...values), Math.max(max, ...values)];
+
+// Minimum interval between oscillation analyses of the time series, in milliseconds
+const ANALYSIS_INTERVAL = 250;
+
+// Amplitudes are measured over at most this many of the latest cycles, leaving out transients before them
+const AMPLITUDE_CYCLES = 3;
+
+// Power below the spectrum's peak at the bottom of the spectrum plot, in decibels
+const SPECTRUM_FLOOR = -60;
+
+// Period, amplitudes and power spectrum of the recorded time series, measured on X
+const analyzeOscillation = (timePoints) => {
+    const times = timePoints.map(p => p.time);
+    const xs = timePoints.map(p => p.x);
+    const ys = timePoints.map(p => p.y);
+    const crossings = oscillationPeriod(times, xs);
+    const spectrum = powerSpectrum(xs, (times[times.length - 1] - times[0]) / (times.length - 1));
+
+    const start = crossings
+        ? crossings.crossings[Math.max(0, crossings.crossings.length - 1 - AMPLITUDE_CYCLES)]
+        : times[0];
+    const amplitude = (values) => {
+        let min = Infinity;
+        let max = -Infinity;
+        values.forEach((value, i) => {
+            if (times[i] < start) return;
+            min = Math.min(min, value);
+            max = Math.max(max, value);
+        });
+        return {min, max, amplitude: (max - min) / 2};
+    };
+
+    return {
+        period: crossings && crossings.period,
+        cycles: crossings ? crossings.cycles : 0,
+        frequency: dominantFrequency(spectrum),
+        x: amplitude(xs),
+        y: amplitude(ys),
+        spectrum
+    };
+};
+
+// Draws a power spectrum in decibels below its peak, from zero to five times the dominant frequency,
+// with the dominant frequency marked
+const drawSpectrum = (canvas, {spectrum, frequency}, label) => {
+    const ctx = canvas.getContext('2d');
+    ctx.fillStyle = '#1a1a1a';
+    ctx.fillRect(0, 0, canvas.width, canvas.height);
+
+    ctx.strokeStyle = '#333';
+    ctx.lineWidth = 1;
+    for (let i = 0; i <= 10; i++) {
+        const x = (i / 10) * canvas.width;
+        const y = (i / 10) * canvas.height;
+        ctx.beginPath();
+        ctx.moveTo(x, 0);
+        ctx.lineTo(x, canvas.height);
+        ctx.moveTo(0, y);
+        ctx.lineTo(canvas.width, y);
+        ctx.stroke();
+    }
+
+    const {frequencies, power} = spectrum;
+    const nyquist = frequencies[frequencies.length - 1];
+    const maxFrequency = frequency ? Math.min(nyquist, 5 * frequency) : nyquist;
+    let peak = 0;
+    for (let k = 1; k < power.length; k++) peak = Math.max(peak, power[k]);
+    if (peak <= 0) return;
+
+    const toCanvasX = (value) => value / maxFrequency * canvas.width;
+    const toCanvasY = (value) => {
+        const decibels = Math.max(SPECTRUM_FLOOR, 10 * Math.log10(Math.max(value / peak, 1e-30)));
+        return decibels / SPECTRUM_FLOOR * canvas.height;
+    };
+
+    ctx.strokeStyle = '#ff6b6b';
+    ctx.lineWidth = 1.5;
+    ctx.beginPath();
+    for (let k = 1; k < frequencies.length && frequencies[k] <= maxFrequency; k++) {
+        if (k === 1) ctx.moveTo(toCanvasX(frequencies[k]), toCanvasY(power[k]));
+        else ctx.lineTo(toCanvasX(frequencies[k]), toCanvasY(power[k]));
+    }
+    ctx.stroke();
+
+    if (frequency) {
+        const x = toCanvasX(frequency);
+        ctx.strokeStyle = '#ffd43b';
+        ctx.setLineDash([4, 4]);
+        ctx.beginPath();
+        ctx.moveTo(x, 0);
+        ctx.lineTo(x, canvas.height);
+        ctx.stroke();
+        ctx.setLineDash([]);
+        ctx.fillStyle = '#ffd43b';
+        ctx.font = '12px';
+        ctx.textAlign = x > canvas.width / 2 ? 'right' : 'left';
+        ctx.fillText(`f = ${frequency.toFixed(4)}`, x + (x > canvas.width / 2 ? -6 : 6), 20);
+        ctx.textAlign = 'left';
+    }
+
+    ctx.fillStyle = '#9CA3AF';
+    ctx.font = '12px';
+    ctx.fillText(`Power of ${label} (0 to ${SPECTRUM_FLOOR} dB)`, 10, canvas.height - 28);
+    ctx.textAlign = 'right';
+    ctx.fillText('Frequency', canvas.width - 10, canvas.height - 10);
+    ctx.textAlign = 'left';
+};
+
+// Value with three decimals, or a dash when it could not be measured
+const formatMeasurement = (value) => (value === null || value === undefined || !Number.isFinite(value) ? '—' : value.toFixed(3));
 
 const ChemicalOscillator = () => {
     // State management
-    const [parameters, setParameters] = useState({
-        B: 5.5,
-        A: 2.0,
-        k1: 1.0,
-        k2: 1.0,
-        k3: 1.0,
-        k4: 1.0
-    });
+    const [settings, setSettings] = useUrlState('brusselator', DEFAULT_SETTINGS, restoreSettings);
+    const oscillator = getOscillator(settings.model);
+    // Keyed on the values so the parameters stay the same object between renders
+    const parameterKey = JSON.stringify(getOscillatorParameters(settings));
+    const parameters = useMemo(() => JSON.parse(parameterKey), [parameterKey]);
+    const [labelX, labelY] = oscillator.variables;
     const [isPaused, setIsPaused] = useState(false);
     const [status, setStatus] = useState('');
+    const [fieldMode, setFieldMode] = useState('none');
+    const [clickMode, setClickMode] = useState('restart');
+    // Reaction–diffusion replaces the well-mixed simulation for models that offer it; `seed` counts reseeds of its grid
+    const spatial = Boolean(oscillator.spatial) && settings.mode === 'spatial';
+    const [seed, setSeed] = useState(0);
+    // Stochastic kinetics work on molecule counts at system size Ω, optionally beside the deterministic solution
+    const stochastic = Boolean(oscillator.stochastic) && !spatial && settings.kinetics !== 'deterministic';
+    const {kinetics, omega} = settings;
+    const overlay = stochastic && settings.overlay === 'on';
+    // Text of the Ω field while it is being edited, so it can be cleared and retyped; null shows the applied value
+    const [omegaDraft, setOmegaDraft] = useState(null);
+
+    // Fixed point and its linear stability at the current parameters
+    const system = useMemo(() => oscillator.system(parameters), [oscillator, parameters]);
+    const stability = useMemo(() => linearStability(system.jacobian(system.fixedPoint)), [system]);
 
     // Canvas refs
     const phaseCanvasRef = useRef(null);
     const timeCanvasRef = useRef(null);
+    const spectrumCanvasRef = useRef(null);
+    const lastAnalysisRef = useRef(0);
+    const [analysis, setAnalysis] = useState(null);
 
     // System state refs
     const systemStateRef = useRef({
-        X: 1.0,
-        Y: 1.0,
+        X: oscillator.initial[0],
+        Y: oscillator.initial[1],
+        // Molecule counts behind X and Y under stochastic kinetics, and the system size they were taken at
+        counts: null,
+        countsOmega: null,
+        // Deterministic solution from the same start, for the overlay: [X, Y] or null
+        reference: null,
         time: 0,
         phasePoints: [],
         timePoints: [],
+        // Trajectories added by clicking on the phase plane: {X, Y, counts, countsOmega, color, points}
+        extras: [],
+        // Range shown on the phase plane, used to map clicks back to (X, Y)
+        phaseBounds: null,
         animationId: null
     });
 
     // Constants
-    const dt = 0.01;
     const maxPoints = 1000;
-
-    // Differential equations
-    const derivatives = useCallback((x, y, params) => {
-        const {A, B, k1, k2, k3, k4} = params;
-        const dxdt = k1 * A - k2 * B * x + k3 * x * x * y - k4 * x;
-        const dydt = k2 * B * x - k3 * x * x * y;
-        return [dxdt, dydt];
-    }, []);
-
-    // Runge-Kutta integration
-    const rungeKutta = useCallback((x, y, dt, params) => {
-        const [k1x, k1y] = derivatives(x, y, params);
-        const [k2x, k2y] = derivatives(x + 0.5 * dt * k1x, y + 0.5 * dt * k1y, params);
-        const [k3x, k3y] = derivatives(x + 0.5 * dt * k2x, y + 0.5 * dt * k2y, params);
-        const [k4x, k4y] = derivatives(x + dt * k3x, y + dt * k3y, params);
-
-        const newX = x + (dt / 6) * (k1x + 2 * k2x + 2 * k3x + k4x);
-        const newY = y + (dt / 6) * (k1y + 2 * k2y + 2 * k3y + k4y);
-
-        return [Math.max(0, newX), Math.max(0, newY)];
-    }, [derivatives]);
+    // The time series keeps a longer history, so the analysis sees several periods
+    const maxTimePoints = 4096;
 
     // Update system state
     const updateSystem = useCallback(() => {
         if (isPaused) return;
 
         const state = systemStateRef.current;
-        [state.X, state.Y] = rungeKutta(state.X, state.Y, dt, parameters);
-        state.time += dt;
+        const {dt, stepsPerFrame} = oscillator;
+
+        // Moves a trajectory {X, Y, counts, countsOmega} on by one frame. Stochastic kinetics fire reactions on
+        // molecule counts, which are taken from the concentrations whenever they are missing or Ω has changed.
+        const advance = (entry) => {
+            if (!stochastic) {
+                [entry.X, entry.Y] = integrate(system, [entry.X, entry.Y], dt, stepsPerFrame);
+                entry.counts = null;
+                return;
+            }
+            if (!entry.counts || entry.countsOmega !== omega) {
+                entry.counts = toCounts([entry.X, entry.Y], omega);
+                entry.countsOmega = omega;
+            }
+            entry.counts = simulateReactions(system.reactions, entry.counts, omega, dt * stepsPerFrame, kinetics, dt).counts;
+            [entry.X, entry.Y] = entry.counts.map(count => count / omega);
+        };
+
+        // The deterministic reference starts wherever the trajectory is when the overlay is switched on
+        state.reference = overlay
+            ? integrate(system, state.reference || [state.X, state.Y], dt, stepsPerFrame)
+            : null;
+        advance(state);
+        state.time += dt * stepsPerFrame;
 
         // Store trajectory points
         state.phasePoints.push({x: state.X, y: state.Y});
-        state.timePoints.push({time: state.time, x: state.X, y: state.Y});
+        state.timePoints.push({time: state.time, x: state.X, y: state.Y, reference: state.reference});
 
         // Limit stored points
         if (state.phasePoints.length > maxPoints) {
             state.phasePoints.shift();
         }
-        if (state.timePoints.length > maxPoints) {
+        if (state.timePoints.length > maxTimePoints) {
             state.timePoints.shift();
         }
-    }, [isPaused, parameters, rungeKutta]);
+
+        state.extras.forEach(extra => {
+            advance(extra);
+            extra.points.push({x: extra.X, y: extra.Y});
+            if (extra.points.length > maxPoints) {
+                extra.points.shift();
+            }
+        });
+    }, [isPaused, oscillator, system, stochastic, kinetics, omega, overlay]);
 
     // Draw phase diagram
     const drawPhase = useCallback(() => {
@@ -98,10 +452,96 @@ const ChemicalOscillator = () => {
             ctx.stroke();
         }
 
+        // The model's view, extended to the trajectories and the fixed point
+        const [fixedX, fixedY] = system.fixedPoint;
+        const references = state.timePoints.slice(-maxPoints).filter(p => p.reference).map(p => ({x: p.reference[0], y: p.reference[1]}));
+        const points = [...state.phasePoints, ...references, ...state.extras.flatMap(extra => extra.points)];
+        const bounds = {
+            x: extendRange(oscillator.view.x, [...points.map(p => p.x), fixedX]),
+            y: extendRange(oscillator.view.y, [...points.map(p => p.y), fixedY])
+        };
+        state.phaseBounds = bounds;
+        const transform = getPhaseTransform(bounds, canvas.width, canvas.height);
+        const {toX: toCanvasX, toY: toCanvasY} = transform;
+
+        // Flow of the vector field under everything else
+        if (fieldMode === 'arrows') {
+            drawDirectionField(ctx, system.derivatives, bounds, transform);
+        } else if (fieldMode === 'streamlines') {
+            drawStreamlines(ctx, system.derivatives, bounds, transform);
+        }
+
+        // Nullclines: dx/dt = 0 dashed red, dy/dt = 0 dashed teal, each sampled along the axis it is a function of
+        ctx.lineWidth = 1.5;
+        ctx.setLineDash([6, 4]);
+        [['#ff6b6b', system.nullclines[0]], ['#4ecdc4', system.nullclines[1]]].forEach(([color, nullcline]) => {
+            const [along, across] = nullcline.y ? [bounds.x, bounds.y] : [bounds.y, bounds.x];
+            const curve = nullcline.y || nullcline.x;
+            const span = across[1] - across[0];
+            ctx.strokeStyle = color;
+            ctx.beginPath();
+            let drawing = false;
+            for (let i = 0; i <= 200; i++) {
+                const u = along[0] + (i / 200) * (along[1] - along[0]);
+                const v = curve(u);
+                // Break the curve at poles and where it leaves the view, so it is not joined across the gap
+                if (!Number.isFinite(v) || v < across[0] - span || v > across[1] + span) {
+                    drawing = false;
+                    continue;
+                }
+                const [x, y] = nullcline.y ? [u, v] : [v, u];
+                if (drawing) ctx.lineTo(toCanvasX(x), toCanvasY(y));
+                else ctx.moveTo(toCanvasX(x), toCanvasY(y));
+                drawing = true;
+            }
+            ctx.stroke();
+        });
+        ctx.setLineDash([]);
+
+        // Fixed point where the nullclines cross: filled when stable, hollow when unstable
+        ctx.strokeStyle = '#ffd43b';
+        ctx.fillStyle = '#ffd43b';
+        ctx.lineWidth = 2;
+        ctx.beginPath();
+        ctx.arc(toCanvasX(fixedX), toCanvasY(fixedY), 5, 0, 2 * Math.PI);
+        if (stability.trace < 0) ctx.fill();
+        else ctx.stroke();
+
+        // Deterministic solution under the stochastic trajectory, dashed
+        if (references.length > 1) {
+            ctx.strokeStyle = 'rgba(255, 255, 255, 0.6)';
+            ctx.lineWidth = 1.5;
+            ctx.setLineDash([4, 4]);
+            ctx.beginPath();
+            references.forEach((point, i) => {
+                if (i === 0) ctx.moveTo(toCanvasX(point.x), toCanvasY(point.y));
+                else ctx.lineTo(toCanvasX(point.x), toCanvasY(point.y));
+            });
+            ctx.stroke();
+            ctx.setLineDash([]);
+        }
+
+        // Added trajectories, each in its own color with its current point
+        state.extras.forEach(({color, points}) => {
+            if (points.length === 0) return;
+            ctx.strokeStyle = color;
+            ctx.fillStyle = color;
+            ctx.lineWidth = 1.5;
+            ctx.beginPath();
+            points.forEach((point, i) => {
+                if (i === 0) ctx.moveTo(toCanvasX(point.x), toCanvasY(point.y));
+                else ctx.lineTo(toCanvasX(point.x), toCanvasY(point.y));
+            });
+            ctx.stroke();
+            const current = points[points.length - 1];
+            ctx.beginPath();
+            ctx.arc(toCanvasX(current.x), toCanvasY(current.y), 3.5, 0, 2 * Math.PI);
+            ctx.fill();
+        });
+
         if (state.phasePoints.length < 2) return;
 
         // Draw trajectory
-        const maxVal = Math.max(...state.phasePoints.map(p => Math.max(p.x, p.y)), 5);
 
         for (let i = 1; i < state.phasePoints.length; i++) {
             const alpha = i / state.phasePoints.length;
@@ -109,10 +549,10 @@ const ChemicalOscillator = () => {
             ctx.strokeStyle = `hsla(${hue}, 80%, 60%, ${alpha * 0.8 + 0.2})`;
             ctx.lineWidth = 2;
 
-            const x1 = (state.phasePoints[i - 1].x / maxVal) * canvas.width;
-            const y1 = canvas.height - (state.phasePoints[i - 1].y / maxVal) * canvas.height;
-            const x2 = (state.phasePoints[i].x / maxVal) * canvas.width;
-            const y2 = canvas.height - (state.phasePoints[i].y / maxVal) * canvas.height;
+            const x1 = toCanvasX(state.phasePoints[i - 1].x);
+            const y1 = toCanvasY(state.phasePoints[i - 1].y);
+            const x2 = toCanvasX(state.phasePoints[i].x);
+            const y2 = toCanvasY(state.phasePoints[i].y);
 
             ctx.beginPath();
             ctx.moveTo(x1, y1);
@@ -123,8 +563,8 @@ const ChemicalOscillator = () => {
         // Draw current point
         if (state.phasePoints.length > 0) {
             const current = state.phasePoints[state.phasePoints.length - 1];
-            const x = (current.x / maxVal) * canvas.width;
-            const y = canvas.height - (current.y / maxVal) * canvas.height;
+            const x = toCanvasX(current.x);
+            const y = toCanvasY(current.y);
 
             ctx.fillStyle = '#00ff88';
             ctx.beginPath();
@@ -143,9 +583,11 @@ const ChemicalOscillator = () => {
         // Draw axis labels
         ctx.fillStyle = '#9CA3AF';
         ctx.font = '12px';
-        ctx.fillText('X', canvas.width - 20, canvas.height - 10);
-        ctx.fillText('Y', 10, 20);
-    }, []);
+        ctx.textAlign = 'right';
+        ctx.fillText(labelX, canvas.width - 10, canvas.height - 10);
+        ctx.textAlign = 'left';
+        ctx.fillText(labelY, 10, 20);
+    }, [oscillator, system, stability, fieldMode, labelX, labelY]);
 
     // Draw time series
     const drawTimeSeries = useCallback(() => {
@@ -175,7 +617,35 @@ const ChemicalOscillator = () => {
         if (state.timePoints.length < 2) return;
 
         const timeRange = Math.max(state.timePoints[state.timePoints.length - 1].time - state.timePoints[0].time, 10);
-        const maxVal = Math.max(...state.timePoints.map(p => Math.max(p.x, p.y)), 5);
+        // Both variables share one axis covering the model's view and the recorded values
+        const [minVal, maxVal] = extendRange(
+            [Math.min(oscillator.view.x[0], oscillator.view.y[0]), Math.max(oscillator.view.x[1], oscillator.view.y[1])],
+            state.timePoints.flatMap(p => (p.reference ? [p.x, p.y, ...p.reference] : [p.x, p.y]))
+        );
+        const toCanvasY = (value) => canvas.height - ((value - minVal) / (maxVal - minVal)) * canvas.height;
+        const toCanvasTime = (time) => ((time - state.timePoints[0].time) / timeRange) * canvas.width;
+
+        // Deterministic X and Y under the stochastic ones, dashed in lighter colors
+        ctx.lineWidth = 1.5;
+        ctx.setLineDash([4, 4]);
+        [['#ffc9c9', 0], ['#c3fae8', 1]].forEach(([color, index]) => {
+            ctx.strokeStyle = color;
+            ctx.beginPath();
+            let drawing = false;
+            state.timePoints.forEach(point => {
+                if (!point.reference) {
+                    drawing = false;
+                    return;
+                }
+                const x = toCanvasTime(point.time);
+                const y = toCanvasY(point.reference[index]);
+                if (drawing) ctx.lineTo(x, y);
+                else ctx.moveTo(x, y);
+                drawing = true;
+            });
+            ctx.stroke();
+        });
+        ctx.setLineDash([]);
 
         // Draw X concentration curve
         ctx.strokeStyle = '#ff6b6b';
@@ -184,7 +654,7 @@ const ChemicalOscillator = () => {
         for (let i = 0; i < state.timePoints.length; i++) {
             const point = state.timePoints[i];
             const x = ((point.time - state.timePoints[0].time) / timeRange) * canvas.width;
-            const y = canvas.height - (point.x / maxVal) * canvas.height;
+            const y = toCanvasY(point.x);
 
             if (i === 0) ctx.moveTo(x, y);
             else ctx.lineTo(x, y);
@@ -198,7 +668,7 @@ const ChemicalOscillator = () => {
         for (let i = 0; i < state.timePoints.length; i++) {
             const point = state.timePoints[i];
             const x = ((point.time - state.timePoints[0].time) / timeRange) * canvas.width;
-            const y = canvas.height - (point.y / maxVal) * canvas.height;
+            const y = toCanvasY(point.y);
 
             if (i === 0) ctx.moveTo(x, y);
             else ctx.lineTo(x, y);
@@ -208,12 +678,15 @@ const ChemicalOscillator = () => {
         // Draw legend
         ctx.fillStyle = '#ff6b6b';
         ctx.font = '12px';
-        ctx.fillText('X', 20, 30);
+        ctx.fillText(labelX, 20, 30);
         ctx.fillStyle = '#4ecdc4';
-        ctx.fillText('Y', 20, 50);
+        ctx.fillText(labelY, 20, 50);
         ctx.fillStyle = '#9CA3AF';
+        if (state.timePoints.some(point => point.reference)) {
+            ctx.fillText('Dashed: deterministic', 20, 70);
+        }
         ctx.fillText('Time', canvas.width - 40, canvas.height - 10);
-    }, []);
+    }, [oscillator, labelX, labelY]);
 
     // Animation loop
     const animate = useCallback(() => {
@@ -223,55 +696,116 @@ const ChemicalOscillator = () => {
         drawPhase();
         drawTimeSeries();
 
+        // Measure the oscillation a few times a second rather than on every frame
+        const now = performance.now();
+        if (now - lastAnalysisRef.current >= ANALYSIS_INTERVAL && state.timePoints.length >= 16) {
+            lastAnalysisRef.current = now;
+            const result = analyzeOscillation(state.timePoints);
+            setAnalysis(result);
+            if (spectrumCanvasRef.current) drawSpectrum(spectrumCanvasRef.current, result, labelX);
+        }
+
         // Update status
-        const statusText = `B = ${parameters.B.toFixed(1)}, X = ${state.X.toFixed(2)}, Y = ${state.Y.toFixed(2)}, t = ${state.time.toFixed(1)}`;
+        let statusText = `${labelX} = ${state.X.toFixed(3)}, ${labelY} = ${state.Y.toFixed(3)}, t = ${state.time.toFixed(1)}`;
+        if (state.counts) {
+            statusText += ` (${state.counts[0]} and ${state.counts[1]} molecules)`;
+        }
         setStatus(statusText);
 
         state.animationId = requestAnimationFrame(animate);
-    }, [updateSystem, drawPhase, drawTimeSeries, parameters.B]);
+    }, [updateSystem, drawPhase, drawTimeSeries, labelX, labelY]);
 
-    // Reset simulation
-    const resetSimulation = useCallback(() => {
+    // Reset simulation, from the model's initial state unless another starting point is given;
+    // added trajectories are removed
+    const resetSimulation = useCallback((start = oscillator.initial) => {
         const state = systemStateRef.current;
-        state.X = 1.0;
-        state.Y = 1.0;
+        [state.X, state.Y] = start;
+        state.counts = null;
+        state.reference = null;
         state.time = 0;
         state.phasePoints = [];
         state.timePoints = [];
-    }, []);
+        state.extras = [];
+        lastAnalysisRef.current = 0;
+        setAnalysis(null);
+    }, [oscillator]);
+
+    const clearExtras = () => {
+        systemStateRef.current.extras = [];
+    };
+
+    // Clicking the phase plane restarts the simulation from that (X, Y) or adds a trajectory starting there
+    const handlePhaseClick = (event) => {
+        const state = systemStateRef.current;
+        const bounds = state.phaseBounds;
+        if (!bounds) return;
+
+        const rect = event.currentTarget.getBoundingClientRect();
+        const X = bounds.x[0] + (event.clientX - rect.left) / rect.width * (bounds.x[1] - bounds.x[0]);
+        const Y = bounds.y[0] + (1 - (event.clientY - rect.top) / rect.height) * (bounds.y[1] - bounds.y[0]);
+
+        if (clickMode === 'restart') {
+            resetSimulation([X, Y]);
+            return;
+        }
+
+        const used = state.extras.map(extra => extra.color);
+        const color = EXTRA_COLORS.find(candidate => !used.includes(candidate)) || state.extras[0].color;
+        if (state.extras.length >= EXTRA_COLORS.length) state.extras.shift();
+        state.extras.push({X, Y, color, points: [{x: X, y: Y}]});
+    };
 
     // Reset parameters
     const resetParameters = () => {
-        setParameters({
-            B: 5.0,
-            A: 2.0,
-            k1: 1.0,
-            k2: 1.0,
-            k3: 1.0,
-            k4: 1.0
-        });
+        setSettings(prev => ({...getModeSettings(prev), model: prev.model, ...getDefaultOscillatorParameters(prev.model)}));
         resetSimulation();
     };
 
+    // Switching models loads that model's parameters and restarts from its initial state
+    const selectModel = (model) => {
+        setSettings(prev => ({...getModeSettings(prev), model, ...getDefaultOscillatorParameters(model)}));
+    };
+
+    // Settings changed from the reaction–diffusion panel, optionally reseeding its grid
+    const updateModeSettings = (values, reseed = false) => {
+        setSettings(prev => ({...prev, ...values}));
+        if (reseed) setSeed(prev => prev + 1);
+    };
+
+    // Restart from the model's initial state whenever the model changes, including through browser navigation
+    useEffect(() => {
+        resetSimulation();
+    }, [resetSimulation]);
+
     // Toggle pause
     const togglePause = useCallback(() => {
         setIsPaused(prev => !prev);
     }, []);
 
+    // Values typed into the Ω field apply as soon as they parse, clamped to the allowed range
+    const updateOmega = (text) => {
+        setOmegaDraft(text);
+        const value = parseFloat(text);
+        if (Number.isFinite(value)) {
+            updateModeSettings({omega: Math.min(OMEGA_RANGE.max, Math.max(OMEGA_RANGE.min, value))});
+        }
+    };
+
     const updateParameter = (key, value) => {
-        setParameters(prev => ({
+        setSettings(prev => ({
             ...prev,
             [key]: parseFloat(value) || 0
         }));
     };
 
-    // Effect to start/stop animation
+    // Effect to start/stop animation; the reaction–diffusion mode runs in its own worker instead
     useEffect(() => {
         const state = systemStateRef.current;
 
         if (state.animationId) {
             cancelAnimationFrame(state.animationId);
         }
+        if (spatial) return;
 
         state.animationId = requestAnimationFrame(animate);
 
@@ -280,7 +814,13 @@ const ChemicalOscillator = () => {
                 cancelAnimationFrame(state.animationId);
             }
         };
-    }, [animate]);
+    }, [animate, spatial]);
+
+    // Position of a parameter value on the Hopf threshold bar, which spans 0 to twice the threshold or just past the value
+    const {hopf} = oscillator;
+    const hopfValue = hopf && parameters[hopf.parameter];
+    const hopfScale = hopf && (Math.max(2 * system.hopfThreshold, 1.1 * hopfValue) || 1);
+    const hopfPercent = (value) => `${Math.min(100, Math.max(0, value / hopfScale * 100))}%`;
 
     return (
         <div className="bg-gray-900 text-gray-200">
@@ -288,10 +828,10 @@ const ChemicalOscillator = () => {
                 {/* Header */}
                 <div className="mb-8">
                     <h1 className="text-3xl font-bold text-white mb-3">
-                        Brusselator Simulation
+                        {oscillator.label} Simulation
                     </h1>
                     <p className="text-gray-400 text-lg">
-                        Visualize the Brusselator chemical reaction dynamics in phase space and time series
+                        Visualize chemical and biological oscillator dynamics in phase space and time series
                     </p>
                 </div>
 
@@ -300,93 +840,100 @@ const ChemicalOscillator = () => {
                     <div className="grid grid-cols-1 md:grid-cols-3 lg:grid-cols-6 gap-4 mb-6">
                         <div className="space-y-2">
                             <label className="block text-gray-200 font-medium text-sm">
-                                Parameter B
+                                Model
                             </label>
-                            <input
-                                type="number"
-                                step="0.1"
-                                min="0"
-                                max="10"
-                                value={parameters.B}
-                                onChange={(e) => updateParameter('B', e.target.value)}
+                            <select
+                                value={settings.model}
+                                onChange={(e) => selectModel(e.target.value)}
                                 className="w-full p-2 bg-gray-700 border border-gray-600 text-gray-200 text-sm focus:border-blue-500 focus:outline-none"
-                            />
+                            >
+                                {Object.entries(OSCILLATORS).map(([key, {label}]) => (
+                                    <option key={key} value={key}>{label}</option>
+                                ))}
+                            </select>
                         </div>
 
-                        <div className="space-y-2">
-                            <label className="block text-gray-200 font-medium text-sm">
-                                Parameter A
-                            </label>
-                            <input
-                                type="number"
-                                step="0.1"
-                                min="0.1"
-                                max="5"
-                                value={parameters.A}
-                                onChange={(e) => updateParameter('A', e.target.value)}
-                                className="w-full p-2 bg-gray-700 border border-gray-600 text-gray-200 text-sm focus:border-blue-500 focus:outline-none"
-                            />
-                        </div>
-
-                        <div className="space-y-2">
-                            <label className="block text-gray-200 font-medium text-sm">
-                                Rate k₁
-                            </label>
-                            <input
-                                type="number"
-                                step="0.1"
-                                min="0.1"
-                                max="3"
-                                value={parameters.k1}
-                                onChange={(e) => updateParameter('k1', e.target.value)}
-                                className="w-full p-2 bg-gray-700 border border-gray-600 text-gray-200 text-sm focus:border-blue-500 focus:outline-none"
-                            />
-                        </div>
+                        {oscillator.spatial && (
+                            <div className="space-y-2">
+                                <label className="block text-gray-200 font-medium text-sm">
+                                    Mode
+                                </label>
+                                <select
+                                    value={settings.mode}
+                                    onChange={(e) => updateModeSettings({mode: e.target.value})}
+                                    className="w-full p-2 bg-gray-700 border border-gray-600 text-gray-200 text-sm focus:border-blue-500 focus:outline-none"
+                                >
+                                    {Object.entries(MODES).map(([key, {label}]) => (
+                                        <option key={key} value={key}>{label}</option>
+                                    ))}
+                                </select>
+                            </div>
+                        )}
 
-                        <div className="space-y-2">
-                            <label className="block text-gray-200 font-medium text-sm">
-                                Rate k₂
-                            </label>
-                            <input
-                                type="number"
-                                step="0.1"
-                                min="0.1"
-                                max="3"
-                                value={parameters.k2}
-                                onChange={(e) => updateParameter('k2', e.target.value)}
-                                className="w-full p-2 bg-gray-700 border border-gray-600 text-gray-200 text-sm focus:border-blue-500 focus:outline-none"
-                            />
-                        </div>
+                        {oscillator.stochastic && !spatial && (
+                            <div className="space-y-2">
+                                <label className="block text-gray-200 font-medium text-sm">
+                                    Kinetics
+                                </label>
+                                <select
+                                    value={kinetics}
+                                    onChange={(e) => updateModeSettings({kinetics: e.target.value})}
+                                    className="w-full p-2 bg-gray-700 border border-gray-600 text-gray-200 text-sm focus:border-blue-500 focus:outline-none"
+                                >
+                                    {Object.entries(KINETICS).map(([key, {label}]) => (
+                                        <option key={key} value={key}>{label}</option>
+                                    ))}
+                                </select>
+                            </div>
+                        )}
 
-                        <div className="space-y-2">
-                            <label className="block text-gray-200 font-medium text-sm">
-                                Rate k₃
-                            </label>
-                            <input
-                                type="number"
-                                step="0.1"
-                                min="0.1"
-                                max="3"
-                                value={parameters.k3}
-                                onChange={(e) => updateParameter('k3', e.target.value)}
-                                className="w-full p-2 bg-gray-700 border border-gray-600 text-gray-200 text-sm focus:border-blue-500 focus:outline-none"
-                            />
-                        </div>
+                        {stochastic && <>
+                            <div className="space-y-2">
+                                <label className="block text-gray-200 font-medium text-sm">
+                                    System Size Ω
+                                </label>
+                                <input
+                                    type="number"
+                                    step="10"
+                                    min={OMEGA_RANGE.min}
+                                    max={OMEGA_RANGE.max}
+                                    value={omegaDraft ?? omega}
+                                    onChange={(e) => updateOmega(e.target.value)}
+                                    onBlur={() => setOmegaDraft(null)}
+                                    className="w-full p-2 bg-gray-700 border border-gray-600 text-gray-200 text-sm focus:border-blue-500 focus:outline-none"
+                                />
+                            </div>
+                            <div className="space-y-2">
+                                <label className="block text-gray-200 font-medium text-sm">
+                                    Deterministic Overlay
+                                </label>
+                                <select
+                                    value={settings.overlay}
+                                    onChange={(e) => updateModeSettings({overlay: e.target.value})}
+                                    className="w-full p-2 bg-gray-700 border border-gray-600 text-gray-200 text-sm focus:border-blue-500 focus:outline-none"
+                                >
+                                    <option value="on">On</option>
+                                    <option value="off">Off</option>
+                                </select>
+                            </div>
+                        </>}
 
-                        <div className="space-y-2">
-                            <label className="block text-gray-200 font-medium text-sm">
-                                Rate k₄
-                            </label>
-                            <input
-                                type="number"
-                                step="0.1"
-                                min="0.1"
-                                max="3"
-                                value={parameters.k4}
-                                onChange={(e) => updateParameter('k4', e.target.value)}
-                                className="w-full p-2 bg-gray-700 border border-gray-600 text-gray-200 text-sm focus:border-blue-500 focus:outline-none"
-                            />
-                        </div>
+                        {Object.entries(oscillator.parameters).map(([key, definition]) => (
+                            <div key={key} className="space-y-2">
+                                <label className="block text-gray-200 font-medium text-sm">
+                                    {definition.label}
+                                </label>
+                                <input
+                                    type="number"
+                                    step={definition.step}
+                                    min={definition.min}
+                                    max={definition.max}
+                                    value={settings[key]}
+                                    onChange={(e) => updateParameter(key, e.target.value)}
+                                    className="w-full p-2 bg-gray-700 border border-gray-600 text-gray-200 text-sm focus:border-blue-500 focus:outline-none"
+                                />
+                            </div>
+                        ))}
                     </div>
 
                     <div className="flex gap-4">
@@ -397,10 +944,10 @@ const ChemicalOscillator = () => {
                             Reset Parameters
                         </button>
                         <button
-                            onClick={resetSimulation}
+                            onClick={() => (spatial ? setSeed(prev => prev + 1) : resetSimulation())}
                             className="px-4 py-2 bg-gray-600 text-white font-medium hover:bg-gray-700 transition-colors text-sm"
                         >
-                            Reset Simulation
+                            {spatial ? 'Random Seed' : 'Reset Simulation'}
                         </button>
                         <button
                             onClick={togglePause}
@@ -408,26 +955,88 @@ const ChemicalOscillator = () => {
                         >
                             {isPaused ? 'Resume' : 'Pause'}
                         </button>
-                        <div className="text-sm text-gray-400 flex items-center">
-                            {status}
-                        </div>
+                        <CopyLinkButton/>
+                        {!spatial && (
+                            <div className="text-sm text-gray-400 flex items-center">
+                                {status}
+                            </div>
+                        )}
                     </div>
                 </div>
 
+                {spatial && (
+                    <ReactionDiffusion
+                        model={settings.model}
+                        parameters={parameters}
+                        system={system}
+                        label={labelX}
+                        gridSize={settings.gridSize}
+                        Dx={settings.Dx}
+                        Dy={settings.Dy}
+                        boundary={settings.boundary}
+                        colormap={settings.colormap}
+                        isPaused={isPaused}
+                        seed={seed}
+                        onChange={updateModeSettings}
+                    />
+                )}
+
                 {/* Visualization Panels */}
-                <div className="grid grid-cols-1 lg:grid-cols-2 gap-8 mb-8">
+                {!spatial && <div className="grid grid-cols-1 lg:grid-cols-3 gap-8 mb-8">
                     <div className="bg-gray-800 border border-gray-700 p-6">
                         <h3 className="text-xl font-bold text-white mb-4">
-                            Phase Portrait (X vs Y)
+                            Phase Portrait ({labelX} vs {labelY})
                         </h3>
                         <div className="text-sm text-gray-400 mb-4">
-                            Trajectory in concentration phase space
+                            Trajectory in the phase plane, with the {labelX} (red) and {labelY} (teal) nullclines crossing at
+                            the fixed point (yellow: filled when stable, hollow when unstable).
+                            Click the plane to start a trajectory there.
+                        </div>
+                        <div className="grid grid-cols-1 md:grid-cols-3 gap-4 mb-4">
+                            <div className="space-y-2">
+                                <label className="block text-gray-200 font-medium text-sm">
+                                    Vector Field
+                                </label>
+                                <select
+                                    value={fieldMode}
+                                    onChange={(e) => setFieldMode(e.target.value)}
+                                    className="w-full p-2 bg-gray-700 border border-gray-600 text-gray-200 text-sm focus:border-blue-500 focus:outline-none"
+                                >
+                                    {Object.entries(FIELD_MODES).map(([key, {label}]) => (
+                                        <option key={key} value={key}>{label}</option>
+                                    ))}
+                                </select>
+                            </div>
+                            <div className="space-y-2">
+                                <label className="block text-gray-200 font-medium text-sm">
+                                    On Click
+                                </label>
+                                <select
+                                    value={clickMode}
+                                    onChange={(e) => setClickMode(e.target.value)}
+                                    className="w-full p-2 bg-gray-700 border border-gray-600 text-gray-200 text-sm focus:border-blue-500 focus:outline-none"
+                                >
+                                    {Object.entries(CLICK_MODES).map(([key, {label}]) => (
+                                        <option key={key} value={key}>{label}</option>
+                                    ))}
+                                </select>
+                            </div>
+                            <div className="flex items-end">
+                                <button
+                                    onClick={clearExtras}
+                                    className="w-full px-4 py-2 bg-gray-600 text-white font-medium hover:bg-gray-700 transition-colors text-sm"
+                                >
+                                    Clear Added Trajectories
+                                </button>
+                            </div>
                         </div>
                         <canvas
                             ref={phaseCanvasRef}
                             width="400"
                             height="300"
                             className="w-full border border-gray-600 bg-gray-900"
+                            style={{cursor: 'crosshair'}}
+                            onClick={handlePhaseClick}
                         />
                     </div>
 
@@ -436,7 +1045,7 @@ const ChemicalOscillator = () => {
                             Time Series
                         </h3>
                         <div className="text-sm text-gray-400 mb-4">
-                            Concentration oscillations over time
+                            Oscillations of both variables over time
                         </div>
                         <canvas
                             ref={timeCanvasRef}
@@ -445,31 +1054,154 @@ const ChemicalOscillator = () => {
                             className="w-full border border-gray-600 bg-gray-900"
                         />
                     </div>
-                </div>
 
-                {/* Chemical Reactions Panel */}
-                <div className="bg-gray-800 border border-gray-700 p-6">
+                    <div className="bg-gray-800 border border-gray-700 p-6">
+                        <h3 className="text-xl font-bold text-white mb-4">
+                            Oscillation Analysis
+                        </h3>
+                        <div className="text-sm text-gray-400 mb-4">
+                            Measured on the recorded time series; amplitudes over the last {AMPLITUDE_CYCLES} cycles
+                        </div>
+                        <div className="grid grid-cols-2 gap-2 mb-4">
+                            <div className="bg-gray-700 p-2">
+                                <div className="text-xs text-gray-400">Period (mean crossings of {labelX})</div>
+                                <div className="font-mono text-sm">
+                                    {formatMeasurement(analysis?.period)}
+                                    {analysis?.period && <span className="text-gray-400"> over {analysis.cycles} cycles</span>}
+                                </div>
+                            </div>
+                            <div className="bg-gray-700 p-2">
+                                <div className="text-xs text-gray-400">Period (1 / dominant frequency)</div>
+                                <div className="font-mono text-sm">
+                                    {formatMeasurement(analysis?.frequency && 1 / analysis.frequency)}
+                                </div>
+                            </div>
+                            {[[labelX, analysis?.x], [labelY, analysis?.y]].map(([label, measurement]) => (
+                                <div key={label} className="bg-gray-700 p-2">
+                                    <div className="text-xs text-gray-400">Amplitude of {label} (range)</div>
+                                    <div className="font-mono text-sm">
+                                        {formatMeasurement(measurement?.amplitude)}
+                                        {measurement && Number.isFinite(measurement.min) && (
+                                            <span className="text-gray-400">
+                                                {' '}({measurement.min.toFixed(3)}–{measurement.max.toFixed(3)})
+                                            </span>
+                                        )}
+                                    </div>
+                                </div>
+                            ))}
+                        </div>
+                        <canvas
+                            ref={spectrumCanvasRef}
+                            width="400"
+                            height="300"
+                            className="w-full border border-gray-600 bg-gray-900"
+                        />
+                    </div>
+                </div>}
+
+                {/* Stability Panel */}
+                <div className="bg-gray-800 border border-gray-700 p-6 mb-8">
                     <h3 className="text-xl font-bold text-white mb-4">
-                        Brusselator Reaction Scheme
+                        Steady State and Stability
                     </h3>
-                    <div className="grid grid-cols-1 md:grid-cols-2 lg:grid-cols-4 gap-4">
-                        <div className="bg-gray-700 p-3 text-center font-mono text-sm">
-                            A → X
+                    <div className="grid grid-cols-1 md:grid-cols-2 lg:grid-cols-4 gap-4 mb-6">
+                        <div className="bg-gray-700 p-3">
+                            <div className="text-xs text-gray-400 mb-1">
+                                Fixed point ({labelX}*, {labelY}*): {oscillator.fixedPoint}
+                            </div>
+                            <div className="font-mono text-sm">
+                                ({system.fixedPoint[0].toFixed(3)}, {system.fixedPoint[1].toFixed(3)})
+                            </div>
+                        </div>
+                        <div className="bg-gray-700 p-3">
+                            <div className="text-xs text-gray-400 mb-1">Jacobian at the fixed point</div>
+                            <div className="font-mono text-sm">
+                                {system.jacobian(system.fixedPoint).map((row, i) => (
+                                    <div key={i}>[{row.map(value => value.toFixed(3).padStart(8)).join(' ')}]</div>
+                                ))}
+                            </div>
                         </div>
-                        <div className="bg-gray-700 p-3 text-center font-mono text-sm">
-                            B + X → Y + D
+                        <div className="bg-gray-700 p-3">
+                            <div className="text-xs text-gray-400 mb-1">
+                                Eigenvalues (tr J = {stability.trace.toFixed(3)}, det J = {stability.determinant.toFixed(3)})
+                            </div>
+                            <div className="font-mono text-sm">
+                                {stability.eigenvalues.map((eigenvalue, i) => (
+                                    <div key={i}>λ{i === 0 ? '₁' : '₂'} = {formatEigenvalue(eigenvalue)}</div>
+                                ))}
+                            </div>
                         </div>
-                        <div className="bg-gray-700 p-3 text-center font-mono text-sm">
-                            2X + Y → 3X
+                        <div className="bg-gray-700 p-3">
+                            <div className="text-xs text-gray-400 mb-1">Classification</div>
+                            <div className={`text-sm font-medium ${stability.trace < 0 ? 'text-green-400' : 'text-orange-400'}`}>
+                                {stability.type.charAt(0).toUpperCase() + stability.type.slice(1)}
+                                {stability.trace > 0 && ' with a limit cycle'}
+                            </div>
+                            <div className="text-xs text-gray-400 mt-1">
+                                {STABILITY_NOTES[stability.type]}
+                            </div>
                         </div>
-                        <div className="bg-gray-700 p-3 text-center font-mono text-sm">
-                            X → E
+                    </div>
+
+                    {hopf && <>
+                        {/* Current parameter value against the Hopf threshold on a common scale */}
+                        <div className="text-sm text-gray-300 mb-2">
+                            Hopf threshold {hopf.formula} = {system.hopfThreshold.toFixed(3)}:
+                            {' '}{hopf.symbol} = {hopfValue.toFixed(2)} is
+                            {' '}{Math.abs(hopfValue - system.hopfThreshold).toFixed(2)}
+                            {hopfValue >= system.hopfThreshold ? ' above' : ' below'} it
                         </div>
+                        <div className="relative h-6 bg-gray-700">
+                            <div
+                                className="absolute inset-y-0 left-0 bg-green-900"
+                                style={{width: hopfPercent(system.hopfThreshold)}}
+                            />
+                            <div
+                                className="absolute inset-y-0 right-0 bg-orange-900"
+                                style={{left: hopfPercent(system.hopfThreshold)}}
+                            />
+                            <div
+                                className="absolute inset-y-0 w-0.5 bg-white"
+                                style={{left: hopfPercent(system.hopfThreshold)}}
+                                title="Hopf threshold"
+                            />
+                            <div
+                                className="absolute top-0 bottom-0 w-2 -ml-1 bg-yellow-400"
+                                style={{left: hopfPercent(hopfValue)}}
+                                title={`Current ${hopf.symbol}`}
+                            />
+                        </div>
+                        <div className="flex justify-between text-xs text-gray-400 mt-1">
+                            <span>Stable steady state</span>
+                            <span>Limit cycle</span>
+                        </div>
+                    </>}
+                </div>
+
+                {/* Chemical Reactions Panel */}
+                <div className="bg-gray-800 border border-gray-700 p-6">
+                    <h3 className="text-xl font-bold text-white mb-4">
+                        {oscillator.label} Scheme
+                    </h3>
+                    <div className="grid grid-cols-1 md:grid-cols-2 lg:grid-cols-4 gap-4">
+                        {oscillator.scheme.map(line => (
+                            <div key={line} className="bg-gray-700 p-3 text-center font-mono text-sm">
+                                {line}
+                            </div>
+                        ))}
                     </div>
                     <div className="mt-4 text-xs text-gray-500">
-                        <p>• The Brusselator is a theoretical model for autocatalytic chemical reactions</p>
-                        <p>• Parameter B controls the oscillation behavior - try values around 5-6 for limit cycles</p>
-                        <p>• The phase portrait shows the system's trajectory in X-Y concentration space</p>
+                        {oscillator.description.map(line => <p key={line}>• {line}</p>)}
+                        <p>• The phase portrait shows the system's trajectory in the {labelX}-{labelY} plane</p>
+                        {oscillator.spatial && <>
+                            <p>• In the reaction–diffusion mode each cell of the grid runs these kinetics and exchanges {labelX} and {labelY} with its neighbours at rates Dx and Dy</p>
+                            <p>• A steady state that is stable without diffusion can be destabilized by it (Turing’s mechanism) when the inhibitor {labelY} diffuses much faster than the activator {labelX}: a local rise of {labelX} grows while the {labelY} it produces spreads out and suppresses its surroundings</p>
+                            <p>• Stationary patterns need B_T &lt; B &lt; Bₕ: spots appear just above the Turing threshold B_T, stripes and labyrinths further above it, and above Bₕ the medium also oscillates in time</p>
+                        </>}
+                        {oscillator.stochastic && <>
+                            <p>• Stochastic kinetics follow whole molecules in a volume of size Ω: X = n_X/Ω, and each reaction fires at random with a rate given by its mass-action propensity. Gillespie’s algorithm simulates every event exactly; tau-leaping fires a Poisson number of each reaction per time step, which is much faster at large Ω</p>
+                            <p>• Fluctuations shrink like 1/√Ω. At small Ω the noisy trajectory still circles the limit cycle, but its period varies from cycle to cycle, so it drifts out of phase with the deterministic solution; below Bₕ noise keeps exciting decaying oscillations around the stable steady state</p>
+                        </>}
                     </div>
                 </div>
             </div>
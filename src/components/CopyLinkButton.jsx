@@ -0,0 +1,35 @@
+import {useEffect, useState} from 'react';
+
+// How long the confirmation label stays visible after copying
+const COPIED_FEEDBACK_MS = 2000;
+
+const CopyLinkButton = () => {
+    const [copied, setCopied] = useState(false);
+
+    useEffect(() => {
+        if (!copied) return;
+        const timer = setTimeout(() => setCopied(false), COPIED_FEEDBACK_MS);
+        return () => clearTimeout(timer);
+    }, [copied]);
+
+    const copyLink = async () => {
+        try {
+            await navigator.clipboard.writeText(window.location.href);
+            setCopied(true);
+        } catch {
+            // Clipboard access can be denied outside secure contexts, fall back to a prompt
+            window.prompt('Copy this link:', window.location.href);
+        }
+    };
+
+    return (
+        <button
+            onClick={copyLink}
+            className="px-4 py-2 bg-gray-600 text-white font-medium hover:bg-gray-700 transition-colors text-sm"
+        >
+            {copied ? 'Link Copied!' : 'Copy Link'}
+        </button>
+    );
+};
+
+export default CopyLinkButton;
@@ -1,46 +1,426 @@
-import {useEffect, useRef, useState} from 'react';
+import {useEffect, useMemo, useRef, useState} from 'react';
 import * as THREE from 'three';
+import {OrbitControls} from 'three/examples/jsm/controls/OrbitControls.js';
+import {
+    CartesianGrid,
+    Line,
+    LineChart,
+    ReferenceLine,
+    ResponsiveContainer,
+    Scatter,
+    ScatterChart,
+    Tooltip,
+    XAxis,
+    YAxis
+} from 'recharts';
+import useUrlState, {restoreNumber, restoreNumbers} from '../hooks/useUrlState.js';
+import CopyLinkButton from './CopyLinkButton.jsx';
+import TrailProjections from './TrailProjections.jsx';
+import {COLORMAPS, colormapCss} from '../utils/colormaps.js';
+import {TRAIL_COLOR_MODES, createTrail} from '../utils/trail.js';
+import {
+    DEFAULT_FLOW,
+    FLOWS,
+    TABLEAUS,
+    advanceEnsemble,
+    distance,
+    getDefaultFlowParameters,
+    getFlow,
+    integrate,
+    integrateAdaptive,
+    linearFit,
+    localError,
+    parabolicPeak,
+    sectionCrossing,
+    seedBall
+} from '../sim/index.js';
+
+const INTEGRATORS = {
+    euler: {label: 'Forward Euler (1st order)'},
+    rk4: {label: 'Runge–Kutta RK4 (4th order)'},
+    rk45: {label: 'Dormand–Prince RK45 (adaptive)'}
+};
+
+const TOLERANCE_OPTIONS = [1e-3, 1e-4, 1e-6, 1e-8, 1e-10];
+
+// Minimum interval between readout updates, so the step readout does not re-render every frame
+const READOUT_INTERVAL = 200;
+
+// Twin trajectories are drawn in colors that contrast with the reference trail
+const TWIN_COLORS = ['#ff4d6d', '#4dabf7', '#b197fc'];
+const MAX_TRAJECTORIES = TWIN_COLORS.length + 1;
+
+const EPSILON_OPTIONS = [1e-15, 1e-12, 1e-9, 1e-6, 1e-3];
+
+// Simulated time between samples of the separation ‖Δ‖, the most samples recorded from the start, and how many
+// samples with every twin saturated are recorded to show the plateau before recording stops
+const DIVERGENCE_INTERVAL = 0.05;
+const MAX_DIVERGENCE_SAMPLES = 2000;
+const SATURATED_SAMPLES = 200;
+
+// Derivative evaluations the particle cloud may spend per frame: large clouds take fewer, longer substeps than the
+// trails so that stepping them stays within a few tens of milliseconds
+const ENSEMBLE_EVALUATIONS = 160000;
+
+// Poincaré section and return map points kept for the side charts
+const MAX_SECTION_POINTS = 3000;
+
+const AXES = ['x', 'y', 'z'];
+
+const VIEW_MODES = {
+    trails: {label: 'Trajectory Trails'},
+    ensemble: {label: 'Particle Cloud'}
+};
+
+const GUIDES = {
+    none: {label: 'None'},
+    axes: {label: 'Axes'},
+    grid: {label: 'Axes and Grid'}
+};
+
+// On/off settings are stored as strings so they survive the round trip through the URL
+const TOGGLES = ['on', 'off'];
+
+// Zoom factor per +/- key press
+const KEY_ZOOM = 1.1;
+
+// Distance from a flow's initial camera position to its lookAt target, which sets the size of scene decorations
+const getViewDistance = ({camera}) => Math.hypot(...camera.position.map((value, i) => value - camera.target[i]));
+
+// Default seed ball for a flow: centered on its initial condition, sized to its attractor
+const getSeedSettings = (model) => {
+    const flow = getFlow(model);
+    const {initial} = flow;
+    const distance = getViewDistance(flow);
+    return {
+        seedX: initial[0],
+        seedY: initial[1],
+        seedZ: initial[2],
+        seedRadius: Number((distance / 100).toPrecision(2))
+    };
+};
+
+// Fresh record of section crossings and successive maxima of the reference trajectory
+const createSectionRecord = () => ({crossings: [], returns: [], recent: [], lastPeak: null});
+
+// The exponential growth of ‖Δ‖ is fitted after the initial alignment with the unstable direction
+// and before the separation saturates at the size of the attractor
+const FIT_TRANSIENT = 1;
+const FIT_SATURATION = 1;
+
+const DEFAULT_SETTINGS = {
+    speed: 1,
+    trailLength: 2000,
+    // Butterfly effect: trajectory i starts at (x₀ + iε, y₀, z₀)
+    trajectories: 2,
+    epsilon: 1e-9,
+    // Numerical integration
+    method: 'rk4',
+    substeps: 10,
+    tolerance: 1e-6,
+    // Coloring of the reference trail
+    colorMode: 'age',
+    colormap: 'viridis',
+    // Particle cloud seeded in a ball of initial conditions
+    viewMode: 'trails',
+    particles: 2000,
+    ...getSeedSettings(DEFAULT_FLOW),
+    // Camera and scene guides
+    autoRotate: 'off',
+    guides: 'none',
+    fixedPoints: 'on',
+    // Flow and its parameters
+    model: DEFAULT_FLOW,
+    ...getDefaultFlowParameters(DEFAULT_FLOW)
+};
+
+// Settings after switching flows: that flow's default parameters and seed ball, viewer and integrator settings kept
+const getModelSettings = (model, settings = DEFAULT_SETTINGS) => {
+    const {speed, trailLength, trajectories, epsilon, method, substeps, tolerance, colorMode, colormap, viewMode, particles} =
+        settings;
+    const {autoRotate, guides, fixedPoints} = settings;
+    return {
+        speed,
+        trailLength,
+        trajectories,
+        epsilon,
+        method,
+        substeps,
+        tolerance,
+        colorMode,
+        colormap,
+        viewMode,
+        particles,
+        ...getSeedSettings(model),
+        autoRotate,
+        guides,
+        fixedPoints,
+        model,
+        ...getDefaultFlowParameters(model)
+    };
+};
+
+const getFlowParameters = (settings) => Object.fromEntries(
+    Object.keys(getFlow(settings.model).parameters).map(key => [key, settings[key]])
+);
+
+// Links may carry an unknown flow, integrator or color mode, non-numeric values, out-of-range numbers or unknown keys;
+// only known settings are kept, numbers are clamped to the ranges of their inputs and anything else falls back to the
+// default
+const restoreSettings = (values) => {
+    const model = values.model in FLOWS ? values.model : DEFAULT_FLOW;
+    const defaults = getModelSettings(model);
+    const method = values.method in INTEGRATORS ? values.method : DEFAULT_SETTINGS.method;
+    const substeps = Math.round(restoreNumber(values.substeps, DEFAULT_SETTINGS.substeps, 1, 50));
+    const trajectories = Math.round(restoreNumber(values.trajectories, DEFAULT_SETTINGS.trajectories, 1, MAX_TRAJECTORIES));
+    const speed = restoreNumber(values.speed, DEFAULT_SETTINGS.speed, 0.1, 3);
+    const trailLength = Math.round(restoreNumber(values.trailLength, DEFAULT_SETTINGS.trailLength, 500, 5000));
+    const particles = Math.round(restoreNumber(values.particles, DEFAULT_SETTINGS.particles, 500, 10000));
+    const epsilon = EPSILON_OPTIONS.includes(values.epsilon) ? values.epsilon : DEFAULT_SETTINGS.epsilon;
+    const tolerance = TOLERANCE_OPTIONS.includes(values.tolerance) ? values.tolerance : DEFAULT_SETTINGS.tolerance;
+    const seedX = restoreNumber(values.seedX, defaults.seedX);
+    const seedY = restoreNumber(values.seedY, defaults.seedY);
+    const seedZ = restoreNumber(values.seedZ, defaults.seedZ);
+    const seedRadius = restoreNumber(values.seedRadius, defaults.seedRadius, 0);
+    const colorMode = values.colorMode in TRAIL_COLOR_MODES ? values.colorMode : DEFAULT_SETTINGS.colorMode;
+    const colormap = values.colormap in COLORMAPS ? values.colormap : DEFAULT_SETTINGS.colormap;
+    const viewMode = values.viewMode in VIEW_MODES ? values.viewMode : DEFAULT_SETTINGS.viewMode;
+    const guides = values.guides in GUIDES ? values.guides : DEFAULT_SETTINGS.guides;
+    const autoRotate = TOGGLES.includes(values.autoRotate) ? values.autoRotate : DEFAULT_SETTINGS.autoRotate;
+    const fixedPoints = TOGGLES.includes(values.fixedPoints) ? values.fixedPoints : DEFAULT_SETTINGS.fixedPoints;
+    return {
+        ...defaults,
+        ...restoreNumbers(values, getFlow(model).parameters, defaults),
+        model,
+        method,
+        substeps,
+        trajectories,
+        speed,
+        trailLength,
+        particles,
+        epsilon,
+        tolerance,
+        seedX,
+        seedY,
+        seedZ,
+        seedRadius,
+        colorMode,
+        colormap,
+        viewMode,
+        guides,
+        autoRotate,
+        fixedPoints
+    };
+};
+
+// Number of decimals implied by a slider step, e.g. 0.01 → 2
+const getDecimals = (step) => Math.max(0, Math.ceil(-Math.log10(step)));
+
+// Small fixed-size dot so thousands of section points stay legible
+const SectionDot = ({cx, cy, fill}) => <circle cx={cx} cy={cy} r={1.5} fill={fill}/>;
+
+// Fills packed RGB particle colors from shades in [0, 1]
+const shadeParticles = (colors, shades, colormap) => {
+    const color = new THREE.Color();
+    shades.forEach((shade, i) => {
+        color.setStyle(colormapCss(colormap, shade));
+        color.toArray(colors, i * 3);
+    });
+};
+
+// Color of the reference trail, with a hue that follows the parameters
+const getReferenceColor = (parameters) => {
+    const hue = Object.values(parameters).reduce((sum, value) => sum + value * 10, 0) % 360;
+    return new THREE.Color().setHSL(hue / 360, 1, 0.5);
+};
+
+// Text sprite that always faces the camera; `height` is its size in world units
+const createLabel = (text, color, height) => {
+    const canvas = document.createElement('canvas');
+    canvas.width = 128;
+    canvas.height = 64;
+    const ctx = canvas.getContext('2d');
+    ctx.font = 'bold 40px sans-serif';
+    ctx.textAlign = 'center';
+    ctx.textBaseline = 'middle';
+    ctx.fillStyle = color;
+    ctx.fillText(text, 64, 32);
+
+    const texture = new THREE.CanvasTexture(canvas);
+    const sprite = new THREE.Sprite(new THREE.SpriteMaterial({map: texture, depthTest: false}));
+    sprite.scale.set(height * 2, height, 1);
+    return sprite;
+};
+
+const disposeLabel = (sprite) => {
+    sprite.material.map.dispose();
+    sprite.material.dispose();
+};
+
+const createStates = (model, count, epsilon) => {
+    const [x, y, z] = getFlow(model).initial;
+    return Array.from({length: count}, (_, i) => [x + i * epsilon, y, z]);
+};
+
+// Whether the last SATURATED_SAMPLES divergence samples have every twin beyond the fit window. Recording stops then
+// rather than dropping the oldest samples, which hold the growth phase that `fitLyapunov` needs.
+const isDivergenceSettled = (samples) => {
+    if (samples.length < SATURATED_SAMPLES) return false;
+    for (let i = samples.length - SATURATED_SAMPLES; i < samples.length; i++) {
+        const sample = samples[i];
+        for (const key in sample) {
+            if (key !== 'time' && !(sample[key] > Math.log(FIT_SATURATION))) return false;
+        }
+    }
+    return true;
+};
+
+// Fits ln‖Δ‖ = λt + c over the exponential-growth window of one twin's divergence samples
+const fitLyapunov = (samples, key) => {
+    const times = [];
+    const values = [];
+    for (const sample of samples) {
+        const value = sample[key];
+        if (value === null || value === undefined) continue;
+        if (value > Math.log(FIT_SATURATION)) break;
+        if (sample.time < FIT_TRANSIENT) continue;
+        times.push(sample.time);
+        values.push(value);
+    }
+    const fit = linearFit(times, values);
+    return fit && {...fit, start: times[0], end: times[times.length - 1]};
+};
 
 const LorenzAttractor = () => {
     const mountRef = useRef(null);
     const animationRef = useRef(null);
-    const pointsRef = useRef([]);
-    const lineRef = useRef(null);
+    // One ring-buffer trail per trajectory
+    const trailsRef = useRef([]);
+    // The reference trajectory's trail, read by the 2D panels, and the serial number of the point hovered there
+    const referenceTrailRef = useRef(null);
+    const hoverRef = useRef(null);
+    // Scene, camera controls and section plane are created once and updated in place
+    const sceneRef = useRef(null);
+    const viewRef = useRef(null);
+    const planeRef = useRef(null);
+    const markerRef = useRef(null);
 
-    const [speed, setSpeed] = useState(1);
-    const [trailLength, setTrailLength] = useState(2000);
+    const [settings, setSettings] = useUrlState('lorenz', DEFAULT_SETTINGS, restoreSettings);
+    const {model, speed, trailLength, trajectories, epsilon, method, substeps, tolerance, colorMode, colormap} = settings;
+    const {viewMode, particles, seedX, seedY, seedZ, seedRadius, autoRotate, guides, fixedPoints} = settings;
+    const flow = getFlow(model);
+    // Keyed on the values so the parameters stay the same object while other settings change
+    const parameterKey = JSON.stringify(getFlowParameters(settings));
+    const parameters = useMemo(() => JSON.parse(parameterKey), [parameterKey]);
+    const system = useMemo(() => flow.system(parameters), [flow, parameters]);
+    const ensembleSubsteps = Math.max(1, Math.min(substeps,
+        Math.floor(ENSEMBLE_EVALUATIONS / (particles * TABLEAUS[method].b.length))));
+    const sectionValue = flow.section ? flow.section.value(parameters) : null;
+    const [readout, setReadout] = useState({step: 0, error: 0, steps: 0});
+    const [divergence, setDivergence] = useState([]);
+    const [section, setSection] = useState({crossings: [], returns: []});
+    const [speedRange, setSpeedRange] = useState(null);
+    const [ensemblePaused, setEnsemblePaused] = useState(false);
+    // Incremented to reseed the particle cloud with the same settings
+    const [ensembleSeed, setEnsembleSeed] = useState(0);
 
-    // Lorenz system parameters
-    const [sigma, setSigma] = useState(10);
-    const [rho, setRho] = useState(28);
-    const [beta, setBeta] = useState(8 / 3);
+    const updateSetting = (key, value) => {
+        setSettings(prev => ({...prev, [key]: value}));
+    };
 
-    // Current position
-    const positionRef = useRef({x: 1, y: 1, z: 1});
+    const selectModel = (value) => {
+        setSettings(prev => getModelSettings(value, prev));
+    };
 
+    // Current state of every trajectory, the simulated time, the recorded separations and section points
+    const statesRef = useRef(createStates(model, trajectories, epsilon));
+    const timeRef = useRef(0);
+    const divergenceRef = useRef([]);
+    const sectionRef = useRef(createSectionRecord());
+    // The adaptive integrator carries each trajectory's step size over from frame to frame
+    const adaptiveStepsRef = useRef([]);
+    // Range of phase-space speeds ‖f(x)‖ seen along the reference trajectory, which scales the speed colors
+    const speedRangeRef = useRef(null);
+    // Particle cloud: packed states and the THREE.Points drawing them
+    const ensembleRef = useRef(null);
+
+    // Settings read by the animation loop on every frame, so changes apply without rebuilding the scene
+    const liveRef = useRef(null);
+    useEffect(() => {
+        liveRef.current = {
+            flow,
+            system,
+            parameters,
+            sectionValue,
+            speed,
+            trailLength,
+            method,
+            substeps,
+            tolerance,
+            colorMode,
+            colormap,
+            viewMode,
+            ensembleSubsteps,
+            ensemblePaused,
+            autoRotate
+        };
+    });
+
+    const resetAttractor = () => {
+        statesRef.current = createStates(model, trajectories, epsilon);
+        timeRef.current = 0;
+        divergenceRef.current = [];
+        setDivergence([]);
+        sectionRef.current = createSectionRecord();
+        setSection({crossings: [], returns: []});
+        adaptiveStepsRef.current = statesRef.current.map(() => null);
+        speedRangeRef.current = null;
+        trailsRef.current.forEach(trail => trail.clear());
+        hoverRef.current = null;
+    };
+
+    // Scene, renderer, camera controls and the animation loop live for the lifetime of the component
     useEffect(() => {
-        if (!mountRef.current) return;
+        const mount = mountRef.current;
+        if (!mount) return;
 
         // Scene setup
         const scene = new THREE.Scene();
         scene.background = new THREE.Color(0x1e2939);
+        sceneRef.current = scene;
 
-        // Camera setup
+        // Camera setup; the framing is applied per flow below
         const camera = new THREE.PerspectiveCamera(
             75,
-            mountRef.current.clientWidth / mountRef.current.clientHeight,
+            mount.clientWidth / mount.clientHeight,
             0.1,
             1000
         );
-        camera.position.set(50, 50, 50);
-        camera.lookAt(0, 0, 0);
 
         // Renderer setup
         const renderer = new THREE.WebGLRenderer({antialias: true});
-        renderer.setSize(mountRef.current.clientWidth, mountRef.current.clientHeight);
+        renderer.setSize(mount.clientWidth, mount.clientHeight);
         renderer.setPixelRatio(window.devicePixelRatio);
-        mountRef.current.innerHTML = '';
-        mountRef.current.appendChild(renderer.domElement);
+        mount.innerHTML = '';
+        mount.appendChild(renderer.domElement);
+
+        // The camera orbits the flow's lookAt target: drag or one finger rotates, right-drag, shift-drag or
+        // two fingers pan, the wheel or a pinch zooms, and arrow keys pan (rotate with shift) once the view has focus
+        const controls = new OrbitControls(camera, renderer.domElement);
+        controls.enableDamping = true;
+        controls.listenToKeyEvents(mount);
+        viewRef.current = {camera, controls};
+
+        // OrbitControls has no keyboard zoom, so + and - scale the distance to the target within the same limits
+        const onKeyDown = (event) => {
+            const factor = {'+': 1 / KEY_ZOOM, '=': 1 / KEY_ZOOM, '-': KEY_ZOOM}[event.key];
+            if (!factor) return;
+            event.preventDefault();
+            const offset = camera.position.clone().sub(controls.target);
+            const radius = Math.max(controls.minDistance, Math.min(controls.maxDistance, offset.length() * factor));
+            camera.position.copy(controls.target).add(offset.setLength(radius));
+        };
+        mount.addEventListener('keydown', onKeyDown);
 
         // Add ambient light
         const ambientLight = new THREE.AmbientLight(0x404040, 0.6);
@@ -51,145 +431,147 @@ const LorenzAttractor = () => {
         directionalLight.position.set(50, 50, 50);
         scene.add(directionalLight);
 
-        // Create line geometry for the attractor trail
-        const geometry = new THREE.BufferGeometry();
-        const positions = new Float32Array(trailLength * 3);
-        geometry.setAttribute('position', new THREE.BufferAttribute(positions, 3));
-
-        // Create gradient material
-        const material = new THREE.LineBasicMaterial({
-            color: 0x00ffff,
-            transparent: true,
-            opacity: 0.8
-        });
-
-        const line = new THREE.Line(geometry, material);
-        scene.add(line);
-        lineRef.current = line;
-
-        // Initialize points array
-        pointsRef.current = [];
-
-        // Mouse controls for camera rotation and zoom
-        let isDragging = false;
-        let previousMousePosition = {x: 0, y: 0};
-        let spherical = new THREE.Spherical();
-        spherical.setFromVector3(camera.position);
-
-        const onMouseDown = (event) => {
-            isDragging = true;
-            previousMousePosition = {
-                x: event.clientX,
-                y: event.clientY
-            };
-        };
-
-        const onMouseMove = (event) => {
-            if (!isDragging) return;
-
-            const deltaMove = {
-                x: event.clientX - previousMousePosition.x,
-                y: event.clientY - previousMousePosition.y
-            };
-
-            // Update spherical coordinates
-            spherical.theta -= deltaMove.x * 0.01;
-            spherical.phi += deltaMove.y * 0.01;
-
-            // Limit phi to prevent flipping
-            spherical.phi = Math.max(0.1, Math.min(Math.PI - 0.1, spherical.phi));
+        // Highlights the instant hovered in the 2D panels; scaled per flow below
+        const marker = new THREE.Mesh(
+            new THREE.SphereGeometry(1, 16, 12),
+            new THREE.MeshBasicMaterial({color: 0xffffff})
+        );
+        marker.visible = false;
+        scene.add(marker);
+        markerRef.current = marker;
 
-            // Update camera position
-            camera.position.setFromSpherical(spherical);
-            camera.lookAt(0, 20, 0);
+        let lastReadout = 0;
 
-            previousMousePosition = {
-                x: event.clientX,
-                y: event.clientY
+        // Advances one trajectory by `duration`, returning its new state and the step readout
+        const advance = (live, state, index, duration) => {
+            const {system, method, substeps, tolerance} = live;
+            const adaptiveSteps = adaptiveStepsRef.current;
+            if (method === 'rk45') {
+                const initialStep = adaptiveSteps[index] || live.flow.frameDuration / substeps;
+                const result = integrateAdaptive(system, state, duration, tolerance, initialStep);
+                adaptiveSteps[index] = result.nextStep;
+                return {state: result.state, readout: {step: result.step, error: result.error, steps: result.steps}};
+            }
+            const dt = duration / substeps;
+            return {
+                state: integrate(system, state, dt, substeps, method),
+                readout: {step: dt, error: localError(system, state, dt, method), steps: substeps}
             };
         };
 
-        const onMouseUp = () => {
-            isDragging = false;
-        };
-
-        const onWheel = (event) => {
-            event.preventDefault();
-
-            // Zoom in/out by adjusting radius
-            const zoomSpeed = 0.1;
-            spherical.radius += event.deltaY * zoomSpeed;
-
-            // Limit zoom range
-            spherical.radius = Math.max(20, Math.min(200, spherical.radius));
-
-            // Update camera position
-            camera.position.setFromSpherical(spherical);
-            camera.lookAt(0, 20, 0);
-        };
-
-        // Add event listeners
-        mountRef.current.addEventListener('mousedown', onMouseDown);
-        mountRef.current.addEventListener('mousemove', onMouseMove);
-        mountRef.current.addEventListener('mouseup', onMouseUp);
-        mountRef.current.addEventListener('wheel', onWheel, {passive: false});
-
         // Animation loop
         const animate = () => {
+            const live = liveRef.current;
+            const {flow, sectionValue, trailLength} = live;
 
-            // Lorenz equations
-            const dt = 0.01 * speed;
-            const {x, y, z} = positionRef.current;
-
-            const dx = sigma * (y - x) * dt;
-            const dy = (x * (rho - z) - y) * dt;
-            const dz = (x * y - beta * z) * dt;
+            // Speed sets the simulated time per frame, substeps how finely it is integrated
+            const duration = flow.frameDuration * live.speed;
+            let frameReadout;
+            const previous = statesRef.current[0];
+            statesRef.current = statesRef.current.map((state, index) => {
+                const result = advance(live, state, index, duration);
+                if (index === 0) frameReadout = result.readout;
+                return result.state;
+            });
+            timeRef.current += duration;
 
-            positionRef.current.x += dx;
-            positionRef.current.y += dy;
-            positionRef.current.z += dz;
+            // Record ln‖Δ‖ between each twin and the reference trajectory
+            const samples = divergenceRef.current;
+            const lastSample = samples[samples.length - 1];
+            const recording = samples.length < MAX_DIVERGENCE_SAMPLES && !isDivergenceSettled(samples);
+            if (statesRef.current.length > 1 && recording
+                && (!lastSample || timeRef.current - lastSample.time >= DIVERGENCE_INTERVAL)) {
+                const sample = {time: timeRef.current};
+                for (let i = 1; i < statesRef.current.length; i++) {
+                    const separation = distance(statesRef.current[i], statesRef.current[0]);
+                    sample[`twin${i}`] = separation > 0 ? Math.log(separation) : null;
+                }
+                samples.push(sample);
+            }
 
-            // Add new point to trail
-            pointsRef.current.push({
-                x: positionRef.current.x,
-                y: positionRef.current.y,
-                z: positionRef.current.z
-            });
+            // Poincaré crossings and successive maxima of the reference trajectory
+            const record = sectionRef.current;
+            const current = statesRef.current[0];
+            if (flow.section) {
+                const crossing = sectionCrossing(previous, current, flow.section.axis, sectionValue);
+                if (crossing) {
+                    record.crossings.push(crossing);
+                    if (record.crossings.length > MAX_SECTION_POINTS) record.crossings.shift();
+                }
+            }
+            if (flow.maxima !== undefined) {
+                const {recent} = record;
+                recent.push(current[flow.maxima]);
+                if (recent.length > 3) recent.shift();
+                if (recent.length === 3 && recent[1] > recent[0] && recent[1] >= recent[2]) {
+                    const peak = parabolicPeak(recent[0], recent[1], recent[2]);
+                    if (record.lastPeak !== null) {
+                        record.returns.push({current: record.lastPeak, next: peak});
+                        if (record.returns.length > MAX_SECTION_POINTS) record.returns.shift();
+                    }
+                    record.lastPeak = peak;
+                }
+            }
 
-            // Limit trail length
-            if (pointsRef.current.length > trailLength) {
-                pointsRef.current.shift();
+            const now = performance.now();
+            if (now - lastReadout > READOUT_INTERVAL) {
+                lastReadout = now;
+                setReadout(frameReadout);
+                setDivergence([...samples]);
+                setSection({crossings: [...record.crossings], returns: [...record.returns]});
+                setSpeedRange(speedRangeRef.current);
             }
 
-            // Update line geometry
-            if (lineRef.current && pointsRef.current.length > 1) {
-                const positions = lineRef.current.geometry.attributes.position.array;
+            // Append the new points; each trail uploads only the vertices just written
+            statesRef.current.forEach((state, index) => {
+                const trail = trailsRef.current[index];
+                if (!trail) return;
 
-                for (let i = 0; i < pointsRef.current.length; i++) {
-                    const point = pointsRef.current[i];
-                    positions[i * 3] = point.x;
-                    positions[i * 3 + 1] = point.y;
-                    positions[i * 3 + 2] = point.z;
+                const speed = Math.hypot(...live.system.derivatives(state));
+                if (index === 0) {
+                    const range = speedRangeRef.current;
+                    speedRangeRef.current = range
+                        ? [Math.min(range[0], speed), Math.max(range[1], speed)]
+                        : [speed, speed];
                 }
 
-                lineRef.current.geometry.setDrawRange(0, pointsRef.current.length);
-                lineRef.current.geometry.attributes.position.needsUpdate = true;
+                trail.resize(trailLength);
+                trail.push(state, speed, timeRef.current);
+            });
+            if (trailsRef.current[0] && speedRangeRef.current) {
+                trailsRef.current[0].setValueRange(...speedRangeRef.current);
+            }
+
+            const hovered = hoverRef.current !== null && trailsRef.current[0]
+                ? trailsRef.current[0].getPoint(hoverRef.current)
+                : null;
+            marker.visible = hovered !== null && live.viewMode !== 'ensemble';
+            if (hovered) marker.position.set(...hovered);
+
+            // Advect the particle cloud with fixed steps; adaptive RK45 uses its fifth-order formula at the substep size
+            const ensemble = ensembleRef.current;
+            if (ensemble && !live.ensemblePaused) {
+                const steps = live.ensembleSubsteps;
+                advanceEnsemble(live.system, ensemble.states, 3, duration / steps, steps, live.method);
+                const attribute = ensemble.points.geometry.attributes.position;
+                attribute.array.set(ensemble.states);
+                attribute.needsUpdate = true;
             }
 
             // Render the scene
+            controls.autoRotate = live.autoRotate === 'on';
+            controls.update();
             renderer.render(scene, camera);
             animationRef.current = requestAnimationFrame(animate);
         };
 
-        animate();
+        animationRef.current = requestAnimationFrame(animate);
 
         // Handle window resize
         const handleResize = () => {
-            if (!mountRef.current) return;
-
-            camera.aspect = mountRef.current.clientWidth / mountRef.current.clientHeight;
+            camera.aspect = mount.clientWidth / mount.clientHeight;
             camera.updateProjectionMatrix();
-            renderer.setSize(mountRef.current.clientWidth, mountRef.current.clientHeight);
+            renderer.setSize(mount.clientWidth, mount.clientHeight);
         };
 
         window.addEventListener('resize', handleResize);
@@ -199,50 +581,289 @@ const LorenzAttractor = () => {
             if (animationRef.current) {
                 cancelAnimationFrame(animationRef.current);
             }
-            if (mountRef.current && renderer.domElement) {
-                mountRef.current.removeChild(renderer.domElement);
-            }
-            if (mountRef.current) {
-                mountRef.current.removeEventListener('mousedown', onMouseDown);
-                mountRef.current.removeEventListener('mousemove', onMouseMove);
-                mountRef.current.removeEventListener('mouseup', onMouseUp);
-                mountRef.current.removeEventListener('wheel', onWheel);
-            }
+            mount.removeChild(renderer.domElement);
+            mount.removeEventListener('keydown', onKeyDown);
+            controls.dispose();
             window.removeEventListener('resize', handleResize);
+            marker.geometry.dispose();
+            marker.material.dispose();
             renderer.dispose();
+            sceneRef.current = null;
+            viewRef.current = null;
+            markerRef.current = null;
         };
-    }, [trailLength, speed, sigma, rho, beta]);
+    }, []);
 
-    // Update animation when parameters change
+    // Relaunch all trajectories, each with a fresh trail, when the flow or their number or separation changes
     useEffect(() => {
-        if (lineRef.current) {
-            // Create new gradient colors based on parameters
-            const hue = (sigma + rho + beta * 10) % 360;
-            lineRef.current.material.color.setHSL(hue / 360, 1, 0.5);
+        const scene = sceneRef.current;
+        if (!scene) return;
+
+        statesRef.current = createStates(model, trajectories, epsilon);
+        timeRef.current = 0;
+        divergenceRef.current = [];
+        setDivergence([]);
+        sectionRef.current = createSectionRecord();
+        setSection({crossings: [], returns: []});
+        adaptiveStepsRef.current = statesRef.current.map(() => null);
+        speedRangeRef.current = null;
+
+        // The reference trail follows the color mode; twins keep their solid contrasting colors
+        const {trailLength, parameters, colorMode, colormap} = liveRef.current;
+        const trails = statesRef.current.map((_, index) => {
+            const trail = index === 0
+                ? createTrail(trailLength, {color: getReferenceColor(parameters), mode: colorMode, colormap})
+                : createTrail(trailLength, {color: TWIN_COLORS[index - 1]});
+            trail.line.visible = liveRef.current.viewMode !== 'ensemble';
+            scene.add(trail.line);
+            return trail;
+        });
+        trailsRef.current = trails;
+        referenceTrailRef.current = trails[0];
+        hoverRef.current = null;
+
+        return () => {
+            referenceTrailRef.current = null;
+            trails.forEach(trail => {
+                scene.remove(trail.line);
+                trail.dispose();
+            });
+        };
+    }, [model, trajectories, epsilon]);
+
+    // Particle cloud seeded in a ball, colored by each particle's initial offset along x so folds show up
+    useEffect(() => {
+        const scene = sceneRef.current;
+        if (!scene || viewMode !== 'ensemble') return;
+
+        const states = seedBall(particles, [seedX, seedY, seedZ], seedRadius);
+        const shades = new Float32Array(particles);
+        for (let i = 0; i < particles; i++) {
+            shades[i] = seedRadius > 0 ? (states[i * 3] - seedX) / (2 * seedRadius) + 0.5 : 0.5;
         }
-    }, [sigma, rho, beta]);
+        const colors = new Float32Array(particles * 3);
+        shadeParticles(colors, shades, liveRef.current.colormap);
 
-    const resetAttractor = () => {
-        positionRef.current = {x: 1, y: 1, z: 1};
-        pointsRef.current = [];
-        if (lineRef.current) {
-            const positions = lineRef.current.geometry.attributes.position.array;
-            positions.fill(0);
-            lineRef.current.geometry.setDrawRange(0, 0);
-            lineRef.current.geometry.attributes.position.needsUpdate = true;
+        const geometry = new THREE.BufferGeometry();
+        geometry.setAttribute('position', new THREE.BufferAttribute(new Float32Array(states), 3).setUsage(THREE.DynamicDrawUsage));
+        geometry.setAttribute('color', new THREE.BufferAttribute(colors, 3));
+        const material = new THREE.PointsMaterial({
+            size: getViewDistance(liveRef.current.flow) / 200,
+            vertexColors: true
+        });
+        const points = new THREE.Points(geometry, material);
+        // The cloud spreads over the attractor, so its initial bounds are useless for culling
+        points.frustumCulled = false;
+        scene.add(points);
+        ensembleRef.current = {states, shades, points};
+
+        // The trails are hidden while the cloud is shown
+        trailsRef.current.forEach(trail => {
+            trail.line.visible = false;
+        });
+
+        return () => {
+            scene.remove(points);
+            geometry.dispose();
+            material.dispose();
+            ensembleRef.current = null;
+            trailsRef.current.forEach(trail => {
+                trail.line.visible = true;
+            });
+        };
+    }, [model, viewMode, particles, seedX, seedY, seedZ, seedRadius, ensembleSeed]);
+
+    // Frame a newly selected flow; otherwise the camera pose is left alone
+    useEffect(() => {
+        const view = viewRef.current;
+        if (!view) return;
+
+        // Zoom is limited relative to the initial framing
+        const {camera, controls} = view;
+        const distance = getViewDistance(flow);
+        controls.target.set(...flow.camera.target);
+        camera.position.set(...flow.camera.position);
+        controls.minDistance = distance * 0.25;
+        controls.maxDistance = distance * 2.5;
+        controls.update();
+        markerRef.current.scale.setScalar(distance / 150);
+    }, [flow]);
+
+    // Coordinate axes with labels, and a grid in the z = 0 plane, sized to the flow
+    useEffect(() => {
+        const scene = sceneRef.current;
+        if (!scene || guides === 'none') return;
+
+        const distance = getViewDistance(flow);
+        const length = distance * 0.6;
+        const group = new THREE.Group();
+        group.add(new THREE.AxesHelper(length));
+        ['#ff6b6b', '#69db7c', '#4dabf7'].forEach((color, axis) => {
+            const label = createLabel(AXES[axis], color, distance / 30);
+            label.position.setComponent(axis, length * 1.08);
+            group.add(label);
+        });
+        if (guides === 'grid') {
+            const grid = new THREE.GridHelper(distance * 2, 20, 0x6b7280, 0x374151);
+            // GridHelper lies in the x–z plane; turn it into the x–y plane
+            grid.rotation.x = Math.PI / 2;
+            group.add(grid);
         }
+        scene.add(group);
+
+        return () => {
+            scene.remove(group);
+            group.traverse(object => {
+                if (object.isSprite) disposeLabel(object);
+                else if (object.geometry) {
+                    object.geometry.dispose();
+                    object.material.dispose();
+                }
+            });
+        };
+    }, [flow, guides]);
+
+    // Labelled markers at the flow's equilibria, moved as the parameters change
+    useEffect(() => {
+        const scene = sceneRef.current;
+        if (!scene || fixedPoints !== 'on' || !flow.fixedPoints) return;
+
+        const distance = getViewDistance(flow);
+        const geometry = new THREE.OctahedronGeometry(distance / 100);
+        const material = new THREE.MeshBasicMaterial({color: 0xffd43b});
+        const group = new THREE.Group();
+        flow.fixedPoints(parameters).forEach(({label, point}) => {
+            const marker = new THREE.Mesh(geometry, material);
+            marker.position.set(...point);
+            group.add(marker);
+            const sprite = createLabel(label, '#ffd43b', distance / 40);
+            sprite.position.set(...point);
+            // Anchor the label just above the marker on screen
+            sprite.center.set(0.5, -0.3);
+            group.add(sprite);
+        });
+        scene.add(group);
+
+        return () => {
+            scene.remove(group);
+            group.children.filter(object => object.isSprite).forEach(disposeLabel);
+            geometry.dispose();
+            material.dispose();
+        };
+    }, [flow, parameters, fixedPoints]);
+
+    // Translucent Poincaré plane, centered on the lookAt target within the plane and moved as the parameters change
+    useEffect(() => {
+        const scene = sceneRef.current;
+        if (!scene || !flow.section) return;
+
+        const {axis, size} = flow.section;
+        const plane = new THREE.Mesh(
+            new THREE.PlaneGeometry(size, size),
+            new THREE.MeshBasicMaterial({
+                color: 0x4dabf7,
+                transparent: true,
+                opacity: 0.15,
+                side: THREE.DoubleSide,
+                depthWrite: false
+            })
+        );
+        // PlaneGeometry lies in the xy plane; turn its normal onto the section axis
+        if (axis === 0) plane.rotation.y = Math.PI / 2;
+        if (axis === 1) plane.rotation.x = Math.PI / 2;
+        scene.add(plane);
+        planeRef.current = plane;
+
+        return () => {
+            scene.remove(plane);
+            plane.geometry.dispose();
+            plane.material.dispose();
+            planeRef.current = null;
+        };
+    }, [flow]);
+
+    useEffect(() => {
+        const plane = planeRef.current;
+        if (plane) {
+            const center = [...flow.camera.target];
+            center[flow.section.axis] = sectionValue;
+            plane.position.set(...center);
+        }
+
+        // Crossings of the old plane, maxima and speeds of the old flow no longer apply
+        sectionRef.current = createSectionRecord();
+        setSection({crossings: [], returns: []});
+        speedRangeRef.current = null;
+    }, [flow, sectionValue, parameters]);
+
+    // Update the reference trail's appearance when parameters or color settings change
+    useEffect(() => {
+        const trail = trailsRef.current[0];
+        if (trail) {
+            trail.setColor(getReferenceColor(parameters));
+            trail.setMode(colorMode);
+        }
+    }, [parameters, colorMode]);
+
+    useEffect(() => {
+        const trail = trailsRef.current[0];
+        if (trail) trail.setColormap(colormap);
+
+        const ensemble = ensembleRef.current;
+        if (ensemble) {
+            const attribute = ensemble.points.geometry.attributes.color;
+            shadeParticles(attribute.array, ensemble.shades, colormap);
+            attribute.needsUpdate = true;
+        }
+    }, [colormap]);
+
+    const DivergenceTooltip = ({active, payload, label}) => {
+        if (active && payload && payload.length) {
+            return (<div className="bg-gray-800 text-gray-200 p-3 border border-gray-600">
+                <p className="font-medium">{`t = ${label.toFixed(2)}`}</p>
+                {payload.filter(entry => entry.value !== null).map(entry => (
+                    <p key={entry.dataKey} style={{color: entry.color}}>
+                        {`${entry.name}: ${entry.value.toFixed(3)}`}
+                    </p>
+                ))}
+            </div>);
+        }
+        return null;
     };
 
+    // The section chart plots the two coordinates lying in the plane
+    const sectionAxes = useMemo(() => (
+        flow.section ? [0, 1, 2].filter(axis => axis !== flow.section.axis) : []
+    ), [flow]);
+    const crossingData = useMemo(() => (
+        section.crossings.map(point => ({u: point[sectionAxes[0]], v: point[sectionAxes[1]]}))
+    ), [section, sectionAxes]);
+
+    const returnDomain = useMemo(() => {
+        if (!section.returns.length) return [0, 1];
+        const values = section.returns.map(({current}) => current);
+        return [Math.min(...values), Math.max(...values)];
+    }, [section]);
+
+    const legendGradient = useMemo(() => {
+        const stops = Array.from({length: 11}, (_, i) => `${colormapCss(colormap, i / 10)} ${i * 10}%`);
+        return `linear-gradient(to right, ${stops.join(', ')})`;
+    }, [colormap]);
+
+    const fits = useMemo(() => (
+        Array.from({length: trajectories - 1}, (_, i) => fitLyapunov(divergence, `twin${i + 1}`))
+    ), [divergence, trajectories]);
+
     return (
         <div className="bg-gray-900 text-gray-200">
             <div className="container mx-auto px-4 py-8 max-w-7xl">
                 {/* Header */}
                 <div className="mb-8">
                     <h1 className="text-3xl font-bold text-white mb-3">
-                        Lorenz Attractor System
+                        {flow.label} Attractor System
                     </h1>
                     <p className="text-gray-400 text-lg">
-                        Visualize chaotic patterns in the Lorenz system of differential equations
+                        Visualize chaotic patterns in three-dimensional systems of differential equations
                     </p>
                 </div>
 
@@ -255,45 +876,64 @@ const LorenzAttractor = () => {
                     <div className="grid grid-cols-1 md:grid-cols-3 gap-4 mb-6">
                         <div className="space-y-2">
                             <label className="block text-gray-200 font-medium text-sm">
-                                σ (Sigma): {sigma.toFixed(1)}
+                                Attractor
                             </label>
-                            <input
-                                type="range"
-                                min="5"
-                                max="20"
-                                step="0.1"
-                                value={sigma}
-                                onChange={(e) => setSigma(parseFloat(e.target.value))}
-                                className="w-full bg-gray-700 accent-blue-500"
-                            />
+                            <select
+                                value={model}
+                                onChange={(e) => selectModel(e.target.value)}
+                                className="w-full p-2 bg-gray-700 border border-gray-600 text-gray-200 text-sm focus:border-blue-500 focus:outline-none"
+                            >
+                                {Object.entries(FLOWS).map(([key, {label}]) => (
+                                    <option key={key} value={key}>{label}</option>
+                                ))}
+                            </select>
                         </div>
 
+                        {Object.entries(flow.parameters).map(([key, definition]) => (
+                            <div key={key} className="space-y-2">
+                                <label className="block text-gray-200 font-medium text-sm">
+                                    {definition.symbol} ({definition.label}): {settings[key].toFixed(getDecimals(definition.step))}
+                                </label>
+                                <input
+                                    type="range"
+                                    min={definition.min}
+                                    max={definition.max}
+                                    step={definition.step}
+                                    value={settings[key]}
+                                    onChange={(e) => updateSetting(key, parseFloat(e.target.value))}
+                                    className="w-full"
+                                />
+                            </div>
+                        ))}
+                    </div>
+
+                    <div className="grid grid-cols-1 md:grid-cols-2 gap-4 mb-6">
                         <div className="space-y-2">
                             <label className="block text-gray-200 font-medium text-sm">
-                                ρ (Rho): {rho.toFixed(1)}
+                                Speed: {speed.toFixed(1)}
                             </label>
                             <input
                                 type="range"
-                                min="20"
-                                max="35"
+                                min="0.1"
+                                max="3"
                                 step="0.1"
-                                value={rho}
-                                onChange={(e) => setRho(parseFloat(e.target.value))}
-                                className="w-full bg-gray-700 accent-blue-500"
+                                value={speed}
+                                onChange={(e) => updateSetting('speed', parseFloat(e.target.value))}
+                                className="w-full"
                             />
                         </div>
 
                         <div className="space-y-2">
                             <label className="block text-gray-200 font-medium text-sm">
-                                β (Beta): {beta.toFixed(2)}
+                                Trail Length: {trailLength}
                             </label>
                             <input
                                 type="range"
-                                min="1"
-                                max="4"
-                                step="0.01"
-                                value={beta}
-                                onChange={(e) => setBeta(parseFloat(e.target.value))}
+                                min="500"
+                                max="5000"
+                                step="100"
+                                value={trailLength}
+                                onChange={(e) => updateSetting('trailLength', parseInt(e.target.value))}
                                 className="w-full"
                             />
                         </div>
@@ -302,32 +942,150 @@ const LorenzAttractor = () => {
                     <div className="grid grid-cols-1 md:grid-cols-2 gap-4 mb-6">
                         <div className="space-y-2">
                             <label className="block text-gray-200 font-medium text-sm">
-                                Speed: {speed.toFixed(1)}
+                                Trajectories: {trajectories}
                             </label>
                             <input
                                 type="range"
-                                min="0.1"
-                                max="3"
-                                step="0.1"
-                                value={speed}
-                                onChange={(e) => setSpeed(parseFloat(e.target.value))}
+                                min="1"
+                                max={MAX_TRAJECTORIES}
+                                step="1"
+                                value={trajectories}
+                                onChange={(e) => updateSetting('trajectories', parseInt(e.target.value))}
                                 className="w-full"
                             />
                         </div>
 
                         <div className="space-y-2">
                             <label className="block text-gray-200 font-medium text-sm">
-                                Trail Length: {trailLength}
+                                Initial Separation ε
                             </label>
-                            <input
-                                type="range"
-                                min="500"
-                                max="5000"
-                                step="100"
-                                value={trailLength}
-                                onChange={(e) => setTrailLength(parseInt(e.target.value))}
-                                className="w-full"
-                            />
+                            <select
+                                value={epsilon}
+                                onChange={(e) => updateSetting('epsilon', parseFloat(e.target.value))}
+                                className="w-full p-2 bg-gray-700 border border-gray-600 text-gray-200 text-sm focus:border-blue-500 focus:outline-none"
+                            >
+                                {EPSILON_OPTIONS.map(option => (
+                                    <option key={option} value={option}>{option.toExponential(0)}</option>
+                                ))}
+                            </select>
+                        </div>
+                    </div>
+
+                    <div className="grid grid-cols-1 md:grid-cols-3 gap-4 mb-6">
+                        <div className="space-y-2">
+                            <label className="block text-gray-200 font-medium text-sm">
+                                View
+                            </label>
+                            <select
+                                value={viewMode}
+                                onChange={(e) => updateSetting('viewMode', e.target.value)}
+                                className="w-full p-2 bg-gray-700 border border-gray-600 text-gray-200 text-sm focus:border-blue-500 focus:outline-none"
+                            >
+                                {Object.entries(VIEW_MODES).map(([key, {label}]) => (
+                                    <option key={key} value={key}>{label}</option>
+                                ))}
+                            </select>
+                        </div>
+
+                        {viewMode === 'ensemble' && <>
+                            <div className="space-y-2">
+                                <label className="block text-gray-200 font-medium text-sm">
+                                    Particles: {particles}
+                                </label>
+                                <input
+                                    type="range"
+                                    min="500"
+                                    max="10000"
+                                    step="500"
+                                    value={particles}
+                                    onChange={(e) => updateSetting('particles', parseInt(e.target.value))}
+                                    className="w-full"
+                                />
+                            </div>
+
+                            <div className="space-y-2">
+                                <label className="block text-gray-200 font-medium text-sm">
+                                    Seed Radius
+                                </label>
+                                <input
+                                    type="number"
+                                    min="0"
+                                    step="any"
+                                    value={seedRadius}
+                                    onChange={(e) => updateSetting('seedRadius', Math.max(0, parseFloat(e.target.value) || 0))}
+                                    className="w-full p-2 bg-gray-700 border border-gray-600 text-gray-200 text-sm focus:border-blue-500 focus:outline-none"
+                                />
+                            </div>
+
+                            {[['seedX', 'x'], ['seedY', 'y'], ['seedZ', 'z']].map(([key, axis]) => (
+                                <div key={key} className="space-y-2">
+                                    <label className="block text-gray-200 font-medium text-sm">
+                                        Seed Center {axis}
+                                    </label>
+                                    <input
+                                        type="number"
+                                        step="any"
+                                        value={settings[key]}
+                                        onChange={(e) => updateSetting(key, parseFloat(e.target.value) || 0)}
+                                        className="w-full p-2 bg-gray-700 border border-gray-600 text-gray-200 text-sm focus:border-blue-500 focus:outline-none"
+                                    />
+                                </div>
+                            ))}
+                        </>}
+                    </div>
+
+                    <div className="grid grid-cols-1 md:grid-cols-3 gap-4 mb-6">
+                        <div className="space-y-2">
+                            <label className="block text-gray-200 font-medium text-sm">
+                                Integrator
+                            </label>
+                            <select
+                                value={method}
+                                onChange={(e) => updateSetting('method', e.target.value)}
+                                className="w-full p-2 bg-gray-700 border border-gray-600 text-gray-200 text-sm focus:border-blue-500 focus:outline-none"
+                            >
+                                {Object.entries(INTEGRATORS).map(([key, {label}]) => (
+                                    <option key={key} value={key}>{label}</option>
+                                ))}
+                            </select>
+                        </div>
+
+                        {method === 'rk45' ? (
+                            <div className="space-y-2">
+                                <label className="block text-gray-200 font-medium text-sm">
+                                    Error Tolerance
+                                </label>
+                                <select
+                                    value={tolerance}
+                                    onChange={(e) => updateSetting('tolerance', parseFloat(e.target.value))}
+                                    className="w-full p-2 bg-gray-700 border border-gray-600 text-gray-200 text-sm focus:border-blue-500 focus:outline-none"
+                                >
+                                    {TOLERANCE_OPTIONS.map(option => (
+                                        <option key={option} value={option}>{option.toExponential(0)}</option>
+                                    ))}
+                                </select>
+                            </div>
+                        ) : (
+                            <div className="space-y-2">
+                                <label className="block text-gray-200 font-medium text-sm">
+                                    Substeps per Frame: {substeps}
+                                </label>
+                                <input
+                                    type="range"
+                                    min="1"
+                                    max="50"
+                                    step="1"
+                                    value={substeps}
+                                    onChange={(e) => updateSetting('substeps', parseInt(e.target.value))}
+                                    className="w-full"
+                                />
+                            </div>
+                        )}
+
+                        <div className="bg-gray-700 border border-gray-600 p-3 font-mono text-xs text-gray-300 space-y-1">
+                            <div>Step size h: {readout.step.toExponential(3)}</div>
+                            <div>Local error: {readout.error.toExponential(3)}</div>
+                            <div>Steps per frame: {readout.steps}</div>
                         </div>
                     </div>
 
@@ -338,6 +1096,21 @@ const LorenzAttractor = () => {
                         >
                             Reset Simulation
                         </button>
+                        {viewMode === 'ensemble' && <>
+                            <button
+                                onClick={() => setEnsemblePaused(prev => !prev)}
+                                className="px-4 py-2 bg-blue-600 text-white font-medium hover:bg-blue-700 transition-colors text-sm"
+                            >
+                                {ensemblePaused ? 'Resume Cloud' : 'Pause Cloud'}
+                            </button>
+                            <button
+                                onClick={() => setEnsembleSeed(prev => prev + 1)}
+                                className="px-4 py-2 bg-gray-600 text-white font-medium hover:bg-gray-700 transition-colors text-sm"
+                            >
+                                Reseed Cloud
+                            </button>
+                        </>}
+                        <CopyLinkButton/>
                     </div>
                 </div>
 
@@ -346,20 +1119,288 @@ const LorenzAttractor = () => {
                     <h3 className="text-xl font-bold text-white mb-4">
                         3D Visualization
                     </h3>
+                    <div className="grid grid-cols-1 md:grid-cols-3 lg:grid-cols-5 gap-4 mb-4">
+                        <div className="space-y-2">
+                            <label className="block text-gray-200 font-medium text-sm">
+                                Color By
+                            </label>
+                            <select
+                                value={colorMode}
+                                onChange={(e) => updateSetting('colorMode', e.target.value)}
+                                className="w-full p-2 bg-gray-700 border border-gray-600 text-gray-200 text-sm focus:border-blue-500 focus:outline-none"
+                            >
+                                {Object.entries(TRAIL_COLOR_MODES).map(([key, {label}]) => (
+                                    <option key={key} value={key}>{label}</option>
+                                ))}
+                            </select>
+                        </div>
+
+                        {colorMode !== 'solid' && <div className="space-y-2">
+                            <label className="block text-gray-200 font-medium text-sm">
+                                Colormap
+                            </label>
+                            <select
+                                value={colormap}
+                                onChange={(e) => updateSetting('colormap', e.target.value)}
+                                className="w-full p-2 bg-gray-700 border border-gray-600 text-gray-200 text-sm focus:border-blue-500 focus:outline-none"
+                            >
+                                {Object.entries(COLORMAPS).map(([key, {label}]) => (
+                                    <option key={key} value={key}>{label}</option>
+                                ))}
+                            </select>
+                        </div>}
+
+                        <div className="space-y-2">
+                            <label className="block text-gray-200 font-medium text-sm">
+                                Guides
+                            </label>
+                            <select
+                                value={guides}
+                                onChange={(e) => updateSetting('guides', e.target.value)}
+                                className="w-full p-2 bg-gray-700 border border-gray-600 text-gray-200 text-sm focus:border-blue-500 focus:outline-none"
+                            >
+                                {Object.entries(GUIDES).map(([key, {label}]) => (
+                                    <option key={key} value={key}>{label}</option>
+                                ))}
+                            </select>
+                        </div>
+
+                        <div className="space-y-2">
+                            <label className="block text-gray-200 font-medium text-sm">
+                                Fixed Points
+                            </label>
+                            <select
+                                value={fixedPoints}
+                                onChange={(e) => updateSetting('fixedPoints', e.target.value)}
+                                className="w-full p-2 bg-gray-700 border border-gray-600 text-gray-200 text-sm focus:border-blue-500 focus:outline-none"
+                            >
+                                <option value="on">Shown</option>
+                                <option value="off">Hidden</option>
+                            </select>
+                        </div>
+
+                        <div className="space-y-2">
+                            <label className="block text-gray-200 font-medium text-sm">
+                                Auto-Rotate
+                            </label>
+                            <select
+                                value={autoRotate}
+                                onChange={(e) => updateSetting('autoRotate', e.target.value)}
+                                className="w-full p-2 bg-gray-700 border border-gray-600 text-gray-200 text-sm focus:border-blue-500 focus:outline-none"
+                            >
+                                <option value="off">Off</option>
+                                <option value="on">On</option>
+                            </select>
+                        </div>
+                    </div>
+
                     <div className="text-sm text-gray-400 mb-4">
-                        Drag to rotate | Scroll to zoom
+                        Drag or one finger to rotate | Right-drag, shift-drag or two fingers to pan | Scroll or pinch to zoom |
+                        Click the view, then arrow keys pan, shift + arrows rotate, + and - zoom
+                    </div>
+
+                    <div className="grid grid-cols-1 lg:grid-cols-3 gap-4">
+                        <div className="h-180 w-full border border-gray-700 lg:col-span-2 focus:border-blue-500 focus:outline-none"
+                             ref={mountRef}
+                             tabIndex={0}
+                             aria-label="3D view of the attractor"
+                             style={{cursor: 'grab'}}/>
+                        <TrailProjections
+                            trailRef={referenceTrailRef}
+                            hoverRef={hoverRef}
+                            colorMode={colorMode}
+                            colormap={colormap}
+                            color={`#${getReferenceColor(parameters).getHexString()}`}
+                        />
                     </div>
 
-                    <div className="h-180 w-full border border-gray-700"
-                         ref={mountRef}
-                         style={{cursor: 'grab'}}/>
+                    {colorMode !== 'solid' && <div className="mt-4 max-w-md">
+                        <div
+                            className="h-3 border border-gray-600"
+                            style={{background: legendGradient}}
+                        />
+                        <div className="flex justify-between text-xs text-gray-400 mt-1">
+                            {colorMode === 'age' ? <>
+                                <span>Oldest</span>
+                                <span>Newest</span>
+                            </> : <>
+                                <span>‖f(x)‖ = {speedRange ? speedRange[0].toFixed(2) : '—'}</span>
+                                <span>{speedRange ? speedRange[1].toFixed(2) : '—'}</span>
+                            </>}
+                        </div>
+                    </div>}
 
                     <div className="mt-4 text-xs text-gray-500">
-                        <p>• The Lorenz attractor is a set of chaotic solutions to the Lorenz system of differential equations</p>
-                        <p>• It exhibits sensitive dependence on initial conditions (butterfly effect)</p>
-                        <p>• The system creates a beautiful butterfly-shaped pattern in phase space</p>
+                        <p>• {flow.equations.join(',  ')}</p>
+                        {flow.description.map(line => <p key={line}>• {line}</p>)}
+                        <p>• Like every chaotic flow it exhibits sensitive dependence on initial conditions (butterfly effect)</p>
+                        <p>• Speed sets how much simulated time passes per frame; the integrator and substeps set how accurately it is computed</p>
+                        {viewMode === 'ensemble' && <p>• Each particle is colored by where it started along x within the seed ball, so the cloud shows how the flow stretches and folds it</p>}
+                        {viewMode === 'ensemble' && ensembleSubsteps < substeps && <p>• To keep the animation smooth, the {particles} particles are advanced with {ensembleSubsteps} substep{ensembleSubsteps === 1 ? '' : 's'} per frame instead of {substeps}</p>}
+                        {fixedPoints === 'on' && flow.fixedPoints && <p>• Yellow markers are the flow’s fixed points at the current parameters</p>}
+                        <p>• The panels beside the 3D view show the reference trail projected onto each coordinate plane and as x(t), y(t), z(t) over the same time window; hover over any of them to mark that instant in 3D</p>
+                        <p>• Coloring by speed shows the phase-space speed ‖f(x)‖ of the reference trajectory: slow regions are where the flow lingers</p>
                     </div>
                 </div>
+
+                {/* Poincaré section and return map */}
+                {(flow.section || flow.maxima !== undefined) && <div className="grid grid-cols-1 lg:grid-cols-2 gap-8 mt-8">
+                    {flow.section && <div className="bg-gray-800 border border-gray-700 p-6">
+                        <h3 className="text-xl font-bold text-white mb-4">
+                            Poincaré Section ({flow.section.label})
+                        </h3>
+
+                        <div className="h-80">
+                            <ResponsiveContainer width="100%" height="100%">
+                                <ScatterChart>
+                                    <CartesianGrid strokeDasharray="3 3" stroke="#374151"/>
+                                    <XAxis
+                                        type="number"
+                                        dataKey="u"
+                                        name={AXES[sectionAxes[0]]}
+                                        domain={['auto', 'auto']}
+                                        stroke="#9CA3AF"
+                                        fontSize={12}
+                                        tickFormatter={(value) => value.toFixed(1)}
+                                    />
+                                    <YAxis
+                                        type="number"
+                                        dataKey="v"
+                                        name={AXES[sectionAxes[1]]}
+                                        domain={['auto', 'auto']}
+                                        stroke="#9CA3AF"
+                                        fontSize={12}
+                                        tickFormatter={(value) => value.toFixed(1)}
+                                    />
+                                    <Scatter data={crossingData} fill="#4dabf7" shape={<SectionDot/>} isAnimationActive={false}/>
+                                </ScatterChart>
+                            </ResponsiveContainer>
+                        </div>
+
+                        <div className="mt-4 text-xs text-gray-500">
+                            <p>• Each dot is a point where the trajectory crosses the translucent plane upwards ({section.crossings.length} so far)</p>
+                            <p>• Axes: {AXES[sectionAxes[0]]} horizontally, {AXES[sectionAxes[1]]} vertically</p>
+                        </div>
+                    </div>}
+
+                    {flow.maxima !== undefined && <div className="bg-gray-800 border border-gray-700 p-6">
+                        <h3 className="text-xl font-bold text-white mb-4">
+                            Return Map of Successive {AXES[flow.maxima]} Maxima
+                        </h3>
+
+                        <div className="h-80">
+                            <ResponsiveContainer width="100%" height="100%">
+                                <ScatterChart>
+                                    <CartesianGrid strokeDasharray="3 3" stroke="#374151"/>
+                                    <XAxis
+                                        type="number"
+                                        dataKey="current"
+                                        name={`${AXES[flow.maxima]}ₙ`}
+                                        domain={returnDomain}
+                                        stroke="#9CA3AF"
+                                        fontSize={12}
+                                        tickFormatter={(value) => value.toFixed(1)}
+                                    />
+                                    <YAxis
+                                        type="number"
+                                        dataKey="next"
+                                        name={`${AXES[flow.maxima]}ₙ₊₁`}
+                                        domain={returnDomain}
+                                        stroke="#9CA3AF"
+                                        fontSize={12}
+                                        tickFormatter={(value) => value.toFixed(1)}
+                                    />
+                                    <ReferenceLine
+                                        segment={[{x: returnDomain[0], y: returnDomain[0]}, {x: returnDomain[1], y: returnDomain[1]}]}
+                                        stroke="#6B7280"
+                                        strokeDasharray="5 5"
+                                    />
+                                    <Scatter data={section.returns} fill="#ff4d6d" shape={<SectionDot/>} isAnimationActive={false}/>
+                                </ScatterChart>
+                            </ResponsiveContainer>
+                        </div>
+
+                        <div className="mt-4 text-xs text-gray-500">
+                            <p>• Each dot pairs one local maximum {AXES[flow.maxima]}ₙ of the trajectory with the next one {AXES[flow.maxima]}ₙ₊₁</p>
+                            <p>• The points fall on a thin curve: the flow reduces to a one-dimensional map like those in the population calculator</p>
+                            <p>• Where the curve is steeper than the dashed diagonal y = x, nearby orbits separate and the dynamics are chaotic</p>
+                        </div>
+                    </div>}
+                </div>}
+
+                {/* Divergence */}
+                {trajectories > 1 && <div className="bg-gray-800 border border-gray-700 p-6 mt-8">
+                    <h3 className="text-xl font-bold text-white mb-4">
+                        Divergence of Nearby Trajectories
+                    </h3>
+
+                    <div className="flex flex-wrap gap-4 mb-4 text-sm">
+                        {fits.map((fit, i) => (
+                            <div key={i} className="flex items-center gap-2">
+                                <span className="inline-block w-3 h-3" style={{backgroundColor: TWIN_COLORS[i]}}/>
+                                <span className="text-gray-300">
+                                    Start (x₀ + {i + 1}ε, y₀, z₀): λ ≈ {fit ? fit.slope.toFixed(3) : '—'}
+                                </span>
+                            </div>
+                        ))}
+                    </div>
+
+                    <div className="h-80">
+                        <ResponsiveContainer width="100%" height="100%">
+                            <LineChart data={divergence}>
+                                <CartesianGrid strokeDasharray="3 3" stroke="#374151"/>
+                                <XAxis
+                                    type="number"
+                                    dataKey="time"
+                                    domain={['dataMin', 'dataMax']}
+                                    stroke="#9CA3AF"
+                                    fontSize={12}
+                                    tickFormatter={(value) => value.toFixed(0)}
+                                />
+                                <YAxis
+                                    stroke="#9CA3AF"
+                                    fontSize={12}
+                                    tickFormatter={(value) => value.toFixed(0)}
+                                    label={{value: 'ln‖Δ‖', angle: -90, position: 'insideLeft', fill: '#9CA3AF', fontSize: 12}}
+                                />
+                                <Tooltip content={<DivergenceTooltip/>}/>
+                                {fits.map((fit, i) => fit && (
+                                    <ReferenceLine
+                                        key={`fit${i}`}
+                                        segment={[
+                                            {x: fit.start, y: fit.intercept + fit.slope * fit.start},
+                                            {x: fit.end, y: fit.intercept + fit.slope * fit.end}
+                                        ]}
+                                        stroke={TWIN_COLORS[i]}
+                                        strokeDasharray="6 4"
+                                        ifOverflow="extendDomain"
+                                    />
+                                ))}
+                                {fits.map((_, i) => (
+                                    <Line
+                                        key={`twin${i + 1}`}
+                                        type="linear"
+                                        dataKey={`twin${i + 1}`}
+                                        name={`ln‖Δ${i + 1}‖`}
+                                        stroke={TWIN_COLORS[i]}
+                                        strokeWidth={1.5}
+                                        dot={false}
+                                        isAnimationActive={false}
+                                    />
+                                ))}
+                            </LineChart>
+                        </ResponsiveContainer>
+                    </div>
+
+                    <div className="mt-4 text-xs text-gray-500">
+                        <p>• Each twin starts a distance of a multiple of ε from the reference trajectory at ({flow.initial.join(', ')}) and is drawn in its own color</p>
+                        <p>• ln‖Δ‖ grows linearly while the separation is small; the dashed lines are least-squares fits over t ≥ {FIT_TRANSIENT} until ‖Δ‖ reaches {FIT_SATURATION}</p>
+                        <p>• Recording stops once every twin has stayed saturated for {SATURATED_SAMPLES * DIVERGENCE_INTERVAL} time units, or after {MAX_DIVERGENCE_SAMPLES * DIVERGENCE_INTERVAL}; reset to record again</p>
+                        <p>• The fitted slope estimates the largest Lyapunov exponent{flow.lyapunov
+                            ? `; single runs scatter around the long-time value of about ${flow.lyapunov} at the default ${flow.label} parameters`
+                            : ''}</p>
+                    </div>
+                </div>}
             </div>
         </div>
     );
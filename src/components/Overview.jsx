@@ -0,0 +1,150 @@
+import {useEffect, useRef} from 'react';
+import {brusselator, getDefaultParameters, getMap, integrate, lorenz} from '../sim/index.js';
+
+const THUMBNAIL_WIDTH = 320;
+const THUMBNAIL_HEIGHT = 180;
+
+// Maps a value from [min, max] onto [0, size], flipping vertical axes so larger values are higher
+const scale = (value, min, max, size, flip = false) => {
+    const t = (value - min) / (max - min);
+    return flip ? size - t * size : t * size;
+};
+
+const drawPolyline = (ctx, points) => {
+    ctx.beginPath();
+    points.forEach(([x, y], i) => (i === 0 ? ctx.moveTo(x, y) : ctx.lineTo(x, y)));
+    ctx.stroke();
+};
+
+// Logistic time series at r = 3.8
+const drawPopulation = (ctx, width, height) => {
+    const {step} = getMap('logistic');
+    const parameters = getDefaultParameters('logistic');
+    const points = [];
+    let x = 2;
+    for (let year = 0; year <= 50; year++) {
+        points.push([scale(year, 0, 50, width), scale(x, 0, parameters.carryingCapacity, height, true)]);
+        x = step(x, parameters);
+    }
+
+    ctx.strokeStyle = '#3B82F6';
+    ctx.lineWidth = 1.5;
+    drawPolyline(ctx, points);
+};
+
+// Coarse logistic bifurcation diagram
+const drawBifurcation = (ctx, width, height) => {
+    const {step} = getMap('logistic');
+    ctx.fillStyle = 'rgba(250, 193, 39, 0.5)';
+    for (let column = 0; column < width; column++) {
+        const parameters = {carryingCapacity: 1, growthRate: 2.8 + 1.2 * column / width};
+        let x = 0.1;
+        for (let t = 0; t < 300; t++) x = step(x, parameters);
+        for (let t = 0; t < 80; t++) {
+            x = step(x, parameters);
+            ctx.fillRect(column, scale(x, 0, 1, height, true), 1, 1);
+        }
+    }
+};
+
+// Brusselator limit cycle at A = 2, B = 5.5 integrated with RK4
+const drawBrusselator = (ctx, width, height) => {
+    const system = brusselator({A: 2, B: 5.5});
+    let state = [1, 1];
+    const points = [];
+    for (let i = 0; i < 3000; i++) {
+        state = integrate(system, state, 0.01);
+        points.push([scale(state[0], 0, 7, width), scale(state[1], 0, 7, height, true)]);
+    }
+
+    ctx.strokeStyle = '#4ecdc4';
+    ctx.lineWidth = 1.5;
+    drawPolyline(ctx, points);
+};
+
+// Lorenz attractor projected onto the x-z plane
+const drawLorenz = (ctx, width, height) => {
+    const system = lorenz({sigma: 10, rho: 28, beta: 8 / 3});
+    let state = [1, 1, 1];
+    const points = [];
+    for (let i = 0; i < 8000; i++) {
+        state = integrate(system, state, 0.005, 1, 'euler');
+        points.push([scale(state[0], -25, 25, width), scale(state[2], 0, 55, height, true)]);
+    }
+
+    ctx.strokeStyle = '#00ffff';
+    ctx.lineWidth = 0.5;
+    drawPolyline(ctx, points);
+};
+
+const THUMBNAILS = {
+    population: drawPopulation,
+    bifurcation: drawBifurcation,
+    brusselator: drawBrusselator,
+    lorenz: drawLorenz
+};
+
+const Thumbnail = ({path}) => {
+    const canvasRef = useRef(null);
+
+    useEffect(() => {
+        const canvas = canvasRef.current;
+        const draw = THUMBNAILS[path];
+        if (!canvas || !draw) return;
+
+        const ctx = canvas.getContext('2d');
+        ctx.fillStyle = '#111827';
+        ctx.fillRect(0, 0, canvas.width, canvas.height);
+        draw(ctx, canvas.width, canvas.height);
+    }, [path]);
+
+    return (
+        <canvas
+            ref={canvasRef}
+            width={THUMBNAIL_WIDTH}
+            height={THUMBNAIL_HEIGHT}
+            className="w-full border border-gray-700"
+        />
+    );
+};
+
+const Overview = ({routes}) => {
+    return (
+        <div className="bg-gray-900 text-gray-200">
+            <div className="container mx-auto px-4 py-8 max-w-7xl">
+                {/* Header */}
+                <div className="mb-8">
+                    <a href="https://github.com/NuclearMissile/logistic-react" rel="noreferrer noopener"
+                       target="_blank">
+                        <h1 className="text-3xl font-bold text-white mb-3">
+                            Logistic React
+                        </h1>
+                    </a>
+                    <p className="text-gray-400 text-lg">
+                        Interactive simulators for discrete maps, chemical oscillators and chaotic flows
+                    </p>
+                </div>
+
+                <div className="grid grid-cols-1 md:grid-cols-2 gap-8">
+                    {routes.map(({path, title, description}) => (
+                        <a
+                            key={path}
+                            href={`#/${path}`}
+                            className="block bg-gray-800 border border-gray-700 p-6 hover:border-blue-500 transition-colors"
+                        >
+                            <Thumbnail path={path}/>
+                            <h3 className="text-xl font-bold text-white mt-4 mb-2">
+                                {title}
+                            </h3>
+                            <p className="text-sm text-gray-400">
+                                {description}
+                            </p>
+                        </a>
+                    ))}
+                </div>
+            </div>
+        </div>
+    );
+};
+
+export default Overview;
@@ -1,46 +1,76 @@
-import {useCallback, useEffect, useState} from 'react';
+import {useCallback, useEffect, useMemo, useState} from 'react';
 import {CartesianGrid, Line, LineChart, ResponsiveContainer, Tooltip, XAxis, YAxis} from 'recharts';
+import {DEFAULT_MAP, MAPS, formatState, getDefaultParameters, getMap, iterateMap} from '../sim/index.js';
+import useUrlState, {restoreNumber, restoreNumbers} from '../hooks/useUrlState.js';
+import CopyLinkButton from './CopyLinkButton.jsx';
+
+// Number of samples used to draw the map curve f(x) in the cobweb plot
+const CURVE_SAMPLES = 200;
+// Delay between cobweb animation steps in milliseconds
+const COBWEB_STEP_INTERVAL = 250;
+
+const DEFAULT_PARAMETERS = {
+    model: DEFAULT_MAP, initialPopulation: 2, growthRate: 3.8, carryingCapacity: 1000, years: 50
+};
+
+// Parameters for a freshly selected model: its defaults plus the settings shared by all models
+const getModelParameters = (model, years) => (
+    model === DEFAULT_MAP
+        ? {...DEFAULT_PARAMETERS, years}
+        : {model, initialPopulation: MAPS[model].initial.default, years, ...getDefaultParameters(model)}
+);
+
+// Only known parameters are kept: non-numeric values fall back to the defaults and numbers are clamped to the ranges
+// of their inputs
+const restoreParameters = (values) => {
+    const model = values.model in MAPS ? values.model : DEFAULT_MAP;
+    const defaults = getModelParameters(model, DEFAULT_PARAMETERS.years);
+    const {initial, parameters} = MAPS[model];
+    return {
+        ...defaults,
+        ...restoreNumbers(values, parameters, defaults),
+        model,
+        initialPopulation: restoreNumber(values.initialPopulation, defaults.initialPopulation, initial.min, initial.max),
+        years: Math.round(restoreNumber(values.years, defaults.years, 1, 100))
+    };
+};
 
 const PopulationCalculator = () => {
-    const [parameters, setParameters] = useState({
-        initialPopulation: 2, growthRate: 3.8, carryingCapacity: 1000, years: 50
-    });
+    const [parameters, setParameters] = useUrlState('population', DEFAULT_PARAMETERS, restoreParameters);
+    const map = getMap(parameters.model);
 
     const [populationData, setPopulationData] = useState([]);
 
-    const calculatePopulation = useCallback(() => {
-        const {initialPopulation, growthRate, carryingCapacity, years} = parameters;
-        const data = [];
-        let currentPopulation = initialPopulation;
-        data.push({year: 0, population: currentPopulation});
+    // Number of cobweb iterations currently shown, null when the full path is displayed
+    const [cobwebStep, setCobwebStep] = useState(null);
 
-        for (let year = 1; year <= years; year++) {
-            // Logistic growth model
-            currentPopulation = growthRate * currentPopulation * (1 - currentPopulation / carryingCapacity);
-            currentPopulation = Math.max(0, currentPopulation);
-
-            data.push({
-                year: year, population: Math.round(currentPopulation * 100) / 100
-            });
-        }
+    const calculatePopulation = useCallback(() => {
+        const {model, initialPopulation, years} = parameters;
+        // Keep two more digits than are displayed
+        const precision = Math.pow(10, getMap(model).decimals + 2);
+        const data = iterateMap(model, parameters, initialPopulation, years).map((population, year) => ({
+            year: year, population: Math.round(population * precision) / precision
+        }));
 
         setPopulationData(data);
     }, [parameters]);
 
     const resetParameters = () => {
-        setParameters({
-            initialPopulation: 2, growthRate: 3.8, carryingCapacity: 1000, years: 50
-        });
+        setParameters(DEFAULT_PARAMETERS);
         setPopulationData([]);
     };
 
+    const selectModel = (model) => {
+        setParameters(prev => getModelParameters(model, prev.years));
+    };
+
     const exportData = () => {
         if (populationData.length === 0) {
             alert('Please calculate data first!');
             return;
         }
 
-        let csvContent = "Year,Population\n";
+        let csvContent = `Year,${map.stateLabel}\n`;
         populationData.forEach(row => {
             csvContent += `${row.year},${row.population}\n`;
         });
@@ -66,12 +96,67 @@ const PopulationCalculator = () => {
         calculatePopulation();
     }, [calculatePopulation]);
 
+    // Cobweb diagram: map curve, diagonal y = x and the staircase path from the initial population
+    const cobwebData = useMemo(() => {
+        const {model, initialPopulation, years} = parameters;
+        const {step, stateRange} = getMap(model);
+
+        let [lowerBound, upperBound] = stateRange(parameters);
+        lowerBound = Math.min(lowerBound, initialPopulation);
+        upperBound = Math.max(upperBound, initialPopulation);
+
+        const path = [{x: initialPopulation, y: Math.min(0, lowerBound)}];
+        let current = initialPopulation;
+        for (let year = 1; year <= years; year++) {
+            const next = step(current, parameters);
+            path.push({x: current, y: next});
+            path.push({x: next, y: next});
+            current = next;
+            lowerBound = Math.min(lowerBound, next);
+            upperBound = Math.max(upperBound, next);
+        }
+
+        const curve = [];
+        for (let i = 0; i <= CURVE_SAMPLES; i++) {
+            const x = lowerBound + (i / CURVE_SAMPLES) * (upperBound - lowerBound);
+            curve.push({x, y: step(x, parameters)});
+        }
+
+        return {
+            curve,
+            diagonal: [{x: lowerBound, y: lowerBound}, {x: upperBound, y: upperBound}],
+            path,
+            lowerBound,
+            upperBound
+        };
+    }, [parameters]);
+
+    // Advance the cobweb animation one iteration at a time until the full path is drawn
+    useEffect(() => {
+        if (cobwebStep === null) return;
+        if (cobwebStep >= parameters.years) {
+            setCobwebStep(null);
+            return;
+        }
+
+        const timer = setTimeout(() => setCobwebStep(step => step + 1), COBWEB_STEP_INTERVAL);
+        return () => clearTimeout(timer);
+    }, [cobwebStep, parameters.years]);
+
+    const toggleCobwebAnimation = () => {
+        setCobwebStep(step => step === null ? 0 : null);
+    };
+
+    const visibleCobwebPath = cobwebStep === null
+        ? cobwebData.path
+        : cobwebData.path.slice(0, 2 * cobwebStep + 1);
+
     const CustomTooltip = ({active, payload, label}) => {
         if (active && payload && payload.length) {
             return (<div className="bg-gray-800 text-gray-200 p-3 border border-gray-600">
                 <p className="font-medium">{`Year ${label}`}</p>
                 <p className="text-blue-400">
-                    {`Population: ${Math.round(payload[0].value).toLocaleString()}`}
+                    {`${map.stateLabel}: ${formatState(parameters.model, payload[0].value)}`}
                 </p>
             </div>);
         }
@@ -91,58 +176,62 @@ const PopulationCalculator = () => {
                     </a>
 
                     <p className="text-gray-400 text-lg">
-                        Simulate population growth dynamics using logistic growth model
+                        Simulate population growth dynamics using the {map.label.toLowerCase()} model
                     </p>
                 </div>
 
                 {/* Controls Card */}
                 <div className="bg-gray-800 border border-gray-700 p-6 mb-8">
                     <div className="grid grid-cols-1 md:grid-cols-3 lg:grid-cols-6 gap-4 mb-6">
-                        {/* Initial Population */}
+                        {/* Model */}
                         <div className="space-y-2">
                             <label className="block text-gray-200 font-medium text-sm">
-                                Initial Population
+                                Model
                             </label>
-                            <input
-                                type="number"
-                                value={parameters.initialPopulation}
-                                onChange={(e) => updateParameter('initialPopulation', e.target.value)}
+                            <select
+                                value={parameters.model}
+                                onChange={(e) => selectModel(e.target.value)}
                                 className="w-full p-2 bg-gray-700 border border-gray-600 text-gray-200 text-sm focus:border-blue-500 focus:outline-none"
-                                min="1"
-                                max="1000"
-                            />
+                            >
+                                {Object.entries(MAPS).map(([key, {label}]) => (
+                                    <option key={key} value={key}>{label}</option>
+                                ))}
+                            </select>
                         </div>
 
-                        {/* Growth Rate */}
+                        {/* Initial Population */}
                         <div className="space-y-2">
                             <label className="block text-gray-200 font-medium text-sm">
-                                Growth Rate
+                                {map.initial.label}
                             </label>
                             <input
                                 type="number"
-                                min="0.1"
-                                max="4.0"
-                                step="0.1"
-                                value={parameters.growthRate}
-                                onChange={(e) => updateParameter('growthRate', e.target.value)}
+                                value={parameters.initialPopulation}
+                                onChange={(e) => updateParameter('initialPopulation', e.target.value)}
                                 className="w-full p-2 bg-gray-700 border border-gray-600 text-gray-200 text-sm focus:border-blue-500 focus:outline-none"
+                                min={map.initial.min}
+                                max={map.initial.max}
+                                step={map.initial.step}
                             />
                         </div>
 
-                        {/* Carrying Capacity */}
-                        <div className="space-y-2">
-                            <label className="block text-gray-200 font-medium text-sm">
-                                Carrying Capacity
-                            </label>
-                            <input
-                                type="number"
-                                value={parameters.carryingCapacity}
-                                onChange={(e) => updateParameter('carryingCapacity', e.target.value)}
-                                className="w-full p-2 bg-gray-700 border border-gray-600 text-gray-200 text-sm focus:border-blue-500 focus:outline-none"
-                                min="100"
-                                max="10000"
-                            />
-                        </div>
+                        {/* Model Parameters */}
+                        {Object.entries(map.parameters).map(([key, definition]) => (
+                            <div key={key} className="space-y-2">
+                                <label className="block text-gray-200 font-medium text-sm">
+                                    {definition.label} ({definition.symbol})
+                                </label>
+                                <input
+                                    type="number"
+                                    min={definition.min}
+                                    max={definition.max}
+                                    step={definition.step}
+                                    value={parameters[key]}
+                                    onChange={(e) => updateParameter(key, e.target.value)}
+                                    className="w-full p-2 bg-gray-700 border border-gray-600 text-gray-200 text-sm focus:border-blue-500 focus:outline-none"
+                                />
+                            </div>
+                        ))}
 
                         {/* Years */}
                         <div className="space-y-2">
@@ -176,49 +265,123 @@ const PopulationCalculator = () => {
                         >
                             Export CSV
                         </button>
+
+                        <CopyLinkButton/>
                     </div>
                 </div>
 
                 {/* Results */}
-                {<div className="bg-gray-800 border border-gray-700 p-6">
-                    <h3 className="text-xl font-bold text-white mb-4">
-                        Population Growth Trend
-                    </h3>
-                    <div className="h-96">
-                        <ResponsiveContainer width="100%" height="100%">
-                            <LineChart data={populationData}>
-                                <CartesianGrid strokeDasharray="3 3" stroke="#374151"/>
-                                <XAxis
-                                    dataKey="year"
-                                    stroke="#9CA3AF"
-                                    fontSize={12}
-                                />
-                                <YAxis
-                                    stroke="#9CA3AF"
-                                    fontSize={12}
-                                    tickFormatter={(value) => Math.round(value).toLocaleString()}
-                                />
-                                <Tooltip content={<CustomTooltip/>}/>
-                                <Line
-                                    type="monotone"
-                                    dataKey="population"
-                                    stroke="#3B82F6"
-                                    strokeWidth={2}
-                                    dot={{fill: '#3B82F6', strokeWidth: 0, r: 3}}
-                                    activeDot={{r: 5, stroke: '#3B82F6', strokeWidth: 2, fill: '#1F2937'}}
-                                />
-                            </LineChart>
-                        </ResponsiveContainer>
-                    </div>
+                <div className="grid grid-cols-1 lg:grid-cols-2 gap-8">
+                    {<div className="bg-gray-800 border border-gray-700 p-6">
+                        <h3 className="text-xl font-bold text-white mb-4">
+                            Population Growth Trend
+                        </h3>
+                        <div className="h-96">
+                            <ResponsiveContainer width="100%" height="100%">
+                                <LineChart data={populationData}>
+                                    <CartesianGrid strokeDasharray="3 3" stroke="#374151"/>
+                                    <XAxis
+                                        dataKey="year"
+                                        stroke="#9CA3AF"
+                                        fontSize={12}
+                                    />
+                                    <YAxis
+                                        stroke="#9CA3AF"
+                                        fontSize={12}
+                                        tickFormatter={(value) => formatState(parameters.model, value)}
+                                    />
+                                    <Tooltip content={<CustomTooltip/>}/>
+                                    <Line
+                                        type="monotone"
+                                        dataKey="population"
+                                        stroke="#3B82F6"
+                                        strokeWidth={2}
+                                        dot={{fill: '#3B82F6', strokeWidth: 0, r: 3}}
+                                        activeDot={{r: 5, stroke: '#3B82F6', strokeWidth: 2, fill: '#1F2937'}}
+                                    />
+                                </LineChart>
+                            </ResponsiveContainer>
+                        </div>
+
+                        <div className="mt-4 text-xs text-gray-500">
+                            <p>• {map.formula}</p>
+                            {map.description.map(line => <p key={line}>• {line}</p>)}
+                            <p>• The chart shows population changes over time based on the {map.label.toLowerCase()} model</p>
+                            <p>• Hover over points to see exact population values for each year</p>
+                        </div>
+                    </div>}
+
+                    {/* Cobweb Diagram */}
+                    <div className="bg-gray-800 border border-gray-700 p-6">
+                        <div className="flex items-center justify-between mb-4">
+                            <h3 className="text-xl font-bold text-white">
+                                Cobweb Diagram
+                            </h3>
+                            <button
+                                onClick={toggleCobwebAnimation}
+                                className="px-4 py-2 bg-blue-600 text-white font-medium hover:bg-blue-700 transition-colors text-sm"
+                            >
+                                {cobwebStep === null ? 'Animate' : `Stop (${cobwebStep}/${parameters.years})`}
+                            </button>
+                        </div>
+                        <div className="h-96">
+                            <ResponsiveContainer width="100%" height="100%">
+                                <LineChart>
+                                    <CartesianGrid strokeDasharray="3 3" stroke="#374151"/>
+                                    <XAxis
+                                        type="number"
+                                        dataKey="x"
+                                        domain={[cobwebData.lowerBound, cobwebData.upperBound]}
+                                        stroke="#9CA3AF"
+                                        fontSize={12}
+                                        tickFormatter={(value) => formatState(parameters.model, value)}
+                                    />
+                                    <YAxis
+                                        type="number"
+                                        dataKey="y"
+                                        domain={[cobwebData.lowerBound, cobwebData.upperBound]}
+                                        stroke="#9CA3AF"
+                                        fontSize={12}
+                                        tickFormatter={(value) => formatState(parameters.model, value)}
+                                    />
+                                    <Line
+                                        data={cobwebData.curve}
+                                        dataKey="y"
+                                        type="monotone"
+                                        stroke="#3B82F6"
+                                        strokeWidth={2}
+                                        dot={false}
+                                        isAnimationActive={false}
+                                    />
+                                    <Line
+                                        data={cobwebData.diagonal}
+                                        dataKey="y"
+                                        type="linear"
+                                        stroke="#9CA3AF"
+                                        strokeDasharray="4 4"
+                                        dot={false}
+                                        isAnimationActive={false}
+                                    />
+                                    <Line
+                                        data={visibleCobwebPath}
+                                        dataKey="y"
+                                        type="linear"
+                                        stroke="#F59E0B"
+                                        strokeWidth={1.5}
+                                        dot={false}
+                                        isAnimationActive={false}
+                                    />
+                                </LineChart>
+                            </ResponsiveContainer>
+                        </div>
 
-                    <div className="mt-4 text-xs text-gray-500">
-                        <p>• Next Population = Growth Rate × Current Population × (1 - Current Population / Carrying
-                            Capacity)</p>
-                        <p>• The chart shows population changes over time based on the logistic growth model</p>
-                        <p>• Different growth rates can lead to stable, oscillating, or chaotic population dynamics</p>
-                        <p>• Hover over points to see exact population values for each year</p>
+                        <div className="mt-4 text-xs text-gray-500">
+                            <p>• Blue curve: the map f(x); dashed line: the diagonal y = x</p>
+                            <p>• From each value go vertically to the curve, then horizontally to the diagonal to get the next year</p>
+                            <p>• The staircase spirals into a fixed point, settles on a cycle, or wanders chaotically</p>
+                        </div>
                     </div>
-                </div>}
+                </div>
             </div>
         </div>
     );
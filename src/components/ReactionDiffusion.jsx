@@ -0,0 +1,273 @@
+import {useEffect, useRef, useState} from 'react';
+import {BOUNDARIES, GRID_SIZES, MIN_DIFFUSION, criticalWavelength} from '../sim/index.js';
+import {COLORMAPS, getColormapLUT} from '../utils/colormaps.js';
+
+// Parameter sets inside the Turing window B_T < B < B_H: just above the threshold hexagonal spots appear,
+// further above it stripes and labyrinths
+const PRESETS = {
+    spots: {label: 'Spots', values: {A: 4.5, B: 6.95, k1: 1, k2: 1, k3: 1, k4: 1, Dx: 2, Dy: 16}},
+    stripes: {label: 'Stripes', values: {A: 4.5, B: 8.5, k1: 1, k2: 1, k3: 1, k4: 1, Dx: 2, Dy: 16}}
+};
+
+// Radius of a brush stroke as a fraction of the grid size
+const BRUSH_FRACTION = 1 / 32;
+
+// Draws one frame of X values into the canvas, scaled to the frame's own range
+const drawFrame = (canvas, {size, values, min, max}, colormap) => {
+    if (canvas.width !== size) canvas.width = size;
+    if (canvas.height !== size) canvas.height = size;
+
+    const ctx = canvas.getContext('2d');
+    const image = ctx.createImageData(size, size);
+    const pixels = image.data;
+    const lut = getColormapLUT(colormap);
+    const span = max - min;
+    for (let i = 0; i < values.length; i++) {
+        // A uniform field is drawn in the middle of the colormap
+        const level = span > 1e-9 ? (values[i] - min) / span : 0.5;
+        const index = Math.round(level * 255) * 3;
+        pixels[i * 4] = lut[index];
+        pixels[i * 4 + 1] = lut[index + 1];
+        pixels[i * 4 + 2] = lut[index + 2];
+        pixels[i * 4 + 3] = 255;
+    }
+    ctx.putImageData(image, 0, 0);
+};
+
+// Reaction–diffusion version of a planar oscillator on a grid, stepped in a worker and drawn as a heat map of X.
+// Settings are owned by the oscillator page: `onChange(values, reseed)` merges new values into them and optionally
+// reseeds the grid, as does every change of `seed`.
+const ReactionDiffusion = ({
+    model, parameters, system, label, gridSize, Dx, Dy, boundary, colormap, isPaused, seed, onChange
+}) => {
+    const workerRef = useRef(null);
+    const canvasRef = useRef(null);
+    const frameRef = useRef(null);
+    const colormapRef = useRef(colormap);
+    const paintingRef = useRef(false);
+    const [frameInfo, setFrameInfo] = useState({time: 0, min: 0, max: 0});
+
+    // Create the worker and draw every frame it sends; terminated on unmount
+    useEffect(() => {
+        const worker = new Worker(new URL('../workers/reactionDiffusion.worker.js', import.meta.url), {type: 'module'});
+        workerRef.current = worker;
+
+        worker.onmessage = (event) => {
+            const frame = event.data;
+            frameRef.current = frame;
+            if (canvasRef.current) drawFrame(canvasRef.current, frame, colormapRef.current);
+            setFrameInfo({time: frame.time, min: frame.min, max: frame.max});
+        };
+
+        return () => {
+            worker.terminate();
+            workerRef.current = null;
+        };
+    }, []);
+
+    // The kinetics and diffusion can change while the pattern keeps evolving
+    useEffect(() => {
+        workerRef.current?.postMessage({type: 'configure', model, parameters, Dx, Dy, boundary});
+    }, [model, parameters, Dx, Dy, boundary]);
+
+    // A new grid size starts a new grid; runs after the configuration above, which the worker needs first
+    useEffect(() => {
+        workerRef.current?.postMessage({type: 'init', size: gridSize});
+    }, [gridSize]);
+
+    useEffect(() => {
+        if (seed > 0) workerRef.current?.postMessage({type: 'seed'});
+    }, [seed]);
+
+    useEffect(() => {
+        workerRef.current?.postMessage({type: 'pause', paused: isPaused});
+    }, [isPaused]);
+
+    // Redraw the last frame in the new colormap, which matters while paused
+    useEffect(() => {
+        colormapRef.current = colormap;
+        if (frameRef.current && canvasRef.current) drawFrame(canvasRef.current, frameRef.current, colormap);
+    }, [colormap]);
+
+    // Pressing or dragging on the grid perturbs the cells under the pointer
+    const paint = (event) => {
+        const rect = event.currentTarget.getBoundingClientRect();
+        const column = Math.floor((event.clientX - rect.left) / rect.width * gridSize);
+        const row = Math.floor((event.clientY - rect.top) / rect.height * gridSize);
+        if (column < 0 || column >= gridSize || row < 0 || row >= gridSize) return;
+        workerRef.current?.postMessage({type: 'perturb', column, row, radius: Math.max(1, gridSize * BRUSH_FRACTION)});
+    };
+
+    const handlePointerDown = (event) => {
+        paintingRef.current = true;
+        event.currentTarget.setPointerCapture(event.pointerId);
+        paint(event);
+    };
+
+    const handlePointerMove = (event) => {
+        if (paintingRef.current) paint(event);
+    };
+
+    const handlePointerUp = () => {
+        paintingRef.current = false;
+    };
+
+    const updateDiffusion = (key, value) => {
+        onChange({[key]: Math.max(MIN_DIFFUSION, parseFloat(value) || MIN_DIFFUSION)});
+    };
+
+    // Linear analysis of the uniform state: Turing and Hopf thresholds in B, and the wavelength that appears first
+    const {B} = parameters;
+    const turingThreshold = system.turingThreshold(Dx, Dy);
+    const hopfThreshold = system.hopfThreshold;
+    const wavelength = criticalWavelength(system.jacobian(system.fixedPoint), Dx, Dy);
+    const regime = B > turingThreshold && B > hopfThreshold
+        ? 'Both instabilities: Turing patterns compete with oscillations of the whole medium'
+        : B > turingThreshold
+            ? 'Turing regime: small perturbations grow into a stationary pattern'
+            : B > hopfThreshold
+                ? 'Hopf regime: the medium oscillates in time, but diffusion alone forms no stationary pattern'
+                : 'The uniform steady state is stable: perturbations diffuse away';
+
+    return (
+        <div className="bg-gray-800 border border-gray-700 p-6 mb-8">
+            <h3 className="text-xl font-bold text-white mb-4">
+                Reaction–Diffusion ({label} on a {gridSize} × {gridSize} grid)
+            </h3>
+            <div className="text-sm text-gray-400 mb-4">
+                Concentration of {label} across the medium, scaled to its current range. Press and drag on the grid
+                to perturb it.
+            </div>
+
+            <div className="grid grid-cols-1 md:grid-cols-3 lg:grid-cols-5 gap-4 mb-4">
+                <div className="space-y-2">
+                    <label className="block text-gray-200 font-medium text-sm">
+                        Grid Size
+                    </label>
+                    <select
+                        value={gridSize}
+                        onChange={(e) => onChange({gridSize: Number(e.target.value)})}
+                        className="w-full p-2 bg-gray-700 border border-gray-600 text-gray-200 text-sm focus:border-blue-500 focus:outline-none"
+                    >
+                        {GRID_SIZES.map(size => (
+                            <option key={size} value={size}>{size} × {size}</option>
+                        ))}
+                    </select>
+                </div>
+                <div className="space-y-2">
+                    <label className="block text-gray-200 font-medium text-sm">
+                        Boundary
+                    </label>
+                    <select
+                        value={boundary}
+                        onChange={(e) => onChange({boundary: e.target.value})}
+                        className="w-full p-2 bg-gray-700 border border-gray-600 text-gray-200 text-sm focus:border-blue-500 focus:outline-none"
+                    >
+                        {Object.entries(BOUNDARIES).map(([key, {label: boundaryLabel}]) => (
+                            <option key={key} value={key}>{boundaryLabel}</option>
+                        ))}
+                    </select>
+                </div>
+                <div className="space-y-2">
+                    <label className="block text-gray-200 font-medium text-sm">
+                        Diffusion Dx
+                    </label>
+                    <input
+                        type="number"
+                        step="0.1"
+                        min={MIN_DIFFUSION}
+                        value={Dx}
+                        onChange={(e) => updateDiffusion('Dx', e.target.value)}
+                        className="w-full p-2 bg-gray-700 border border-gray-600 text-gray-200 text-sm focus:border-blue-500 focus:outline-none"
+                    />
+                </div>
+                <div className="space-y-2">
+                    <label className="block text-gray-200 font-medium text-sm">
+                        Diffusion Dy
+                    </label>
+                    <input
+                        type="number"
+                        step="0.5"
+                        min={MIN_DIFFUSION}
+                        value={Dy}
+                        onChange={(e) => updateDiffusion('Dy', e.target.value)}
+                        className="w-full p-2 bg-gray-700 border border-gray-600 text-gray-200 text-sm focus:border-blue-500 focus:outline-none"
+                    />
+                </div>
+                <div className="space-y-2">
+                    <label className="block text-gray-200 font-medium text-sm">
+                        Colormap
+                    </label>
+                    <select
+                        value={colormap}
+                        onChange={(e) => onChange({colormap: e.target.value})}
+                        className="w-full p-2 bg-gray-700 border border-gray-600 text-gray-200 text-sm focus:border-blue-500 focus:outline-none"
+                    >
+                        {Object.entries(COLORMAPS).map(([key, {label: colormapLabel}]) => (
+                            <option key={key} value={key}>{colormapLabel}</option>
+                        ))}
+                    </select>
+                </div>
+            </div>
+
+            <div className="flex flex-wrap gap-4 mb-4">
+                {Object.entries(PRESETS).map(([key, preset]) => (
+                    <button
+                        key={key}
+                        onClick={() => onChange(preset.values, true)}
+                        className="px-4 py-2 bg-gray-600 text-white font-medium hover:bg-gray-700 transition-colors text-sm"
+                    >
+                        Preset: {preset.label}
+                    </button>
+                ))}
+                <div className="text-sm text-gray-400 flex items-center font-mono">
+                    t = {frameInfo.time.toFixed(1)}, {label} ∈ [{frameInfo.min.toFixed(3)}, {frameInfo.max.toFixed(3)}]
+                </div>
+            </div>
+
+            <div className="grid grid-cols-1 lg:grid-cols-3 gap-6">
+                <div className="lg:col-span-2">
+                    <canvas
+                        ref={canvasRef}
+                        width={gridSize}
+                        height={gridSize}
+                        className="w-full max-w-2xl aspect-square border border-gray-600 bg-gray-900"
+                        style={{imageRendering: 'pixelated', cursor: 'crosshair', touchAction: 'none'}}
+                        onPointerDown={handlePointerDown}
+                        onPointerMove={handlePointerMove}
+                        onPointerUp={handlePointerUp}
+                        onPointerCancel={handlePointerUp}
+                    />
+                </div>
+                <div className="space-y-3">
+                    <div className="bg-gray-700 p-3">
+                        <div className="text-xs text-gray-400 mb-1">
+                            Turing threshold B_T = (√k₄ + X*√(k₃Dx/Dy))²/k₂
+                        </div>
+                        <div className="font-mono text-sm">
+                            {Number.isFinite(turingThreshold) ? turingThreshold.toFixed(3) : '—'}
+                        </div>
+                    </div>
+                    <div className="bg-gray-700 p-3">
+                        <div className="text-xs text-gray-400 mb-1">Hopf threshold Bₕ</div>
+                        <div className="font-mono text-sm">{hopfThreshold.toFixed(3)}</div>
+                    </div>
+                    <div className="bg-gray-700 p-3">
+                        <div className="text-xs text-gray-400 mb-1">Critical wavelength at B_T</div>
+                        <div className="font-mono text-sm">
+                            {wavelength === null ? '—' : `${wavelength.toFixed(1)} cells`}
+                        </div>
+                    </div>
+                    <div className="bg-gray-700 p-3">
+                        <div className="text-xs text-gray-400 mb-1">At B = {B.toFixed(2)}</div>
+                        <div className={`text-sm font-medium ${B > turingThreshold ? 'text-orange-400' : 'text-green-400'}`}>
+                            {regime}
+                        </div>
+                    </div>
+                </div>
+            </div>
+        </div>
+    );
+};
+
+export default ReactionDiffusion;
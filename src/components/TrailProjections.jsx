@@ -0,0 +1,212 @@
+import {useEffect, useRef} from 'react';
+import {colormapCss} from '../utils/colormaps.js';
+
+const PANELS = [
+    {key: 'xy', label: 'x–y projection', axes: [0, 1]},
+    {key: 'xz', label: 'x–z projection', axes: [0, 2]},
+    {key: 'yz', label: 'y–z projection', axes: [1, 2]},
+    {key: 'x', label: 'x(t)', axis: 0},
+    {key: 'y', label: 'y(t)', axis: 1},
+    {key: 'z', label: 'z(t)', axis: 2}
+];
+
+// Minimum interval between redraws; the panels follow the trail without redrawing on every frame
+const REDRAW_INTERVAL = 50;
+
+// Trail segments are stroked in this many color bands rather than one path per segment
+const COLOR_BANDS = 128;
+
+const PADDING = 6;
+
+// Maximum distance in CSS pixels from the pointer to a point for it to be hovered in a projection
+const HOVER_RADIUS = 12;
+
+// Screen transform of a panel for the current snapshot: projections keep equal scales on both axes,
+// time series stretch time across the full width
+const getTransform = (panel, snapshot, width, height) => {
+    const {positions, times, count} = snapshot;
+    const horizontal = (i) => (panel.axes ? positions[i * 3 + panel.axes[0]] : times[i]);
+    const vertical = (i) => positions[i * 3 + (panel.axes ? panel.axes[1] : panel.axis)];
+
+    let minU = Infinity, maxU = -Infinity, minV = Infinity, maxV = -Infinity;
+    for (let i = 0; i < count; i++) {
+        minU = Math.min(minU, horizontal(i));
+        maxU = Math.max(maxU, horizontal(i));
+        minV = Math.min(minV, vertical(i));
+        maxV = Math.max(maxV, vertical(i));
+    }
+
+    const innerWidth = width - 2 * PADDING;
+    const innerHeight = height - 2 * PADDING;
+    let scaleU = innerWidth / Math.max(maxU - minU, 1e-9);
+    let scaleV = innerHeight / Math.max(maxV - minV, 1e-9);
+    if (panel.axes) {
+        scaleU = scaleV = Math.min(scaleU, scaleV);
+    }
+    const offsetU = PADDING + (innerWidth - (maxU - minU) * scaleU) / 2;
+    const offsetV = PADDING + (innerHeight - (maxV - minV) * scaleV) / 2;
+
+    return {
+        x: (i) => offsetU + (horizontal(i) - minU) * scaleU,
+        y: (i) => height - offsetV - (vertical(i) - minV) * scaleV
+    };
+};
+
+// Color of the band around point i, matching the reference trail in the 3D view
+const getBandStyle = (style, snapshot, i) => {
+    const {colorMode, colormap, color} = style;
+    if (colorMode === 'age') {
+        const age = Math.min(1, (snapshot.count - 1 - i) / Math.max(snapshot.capacity - 1, 1));
+        return {stroke: colormapCss(colormap, 1 - age), alpha: 1 - age};
+    }
+    if (colorMode === 'speed') {
+        const [min, max] = snapshot.valueRange;
+        return {stroke: colormapCss(colormap, (snapshot.values[i] - min) / Math.max(max - min, 1e-9)), alpha: 1};
+    }
+    return {stroke: color, alpha: 1};
+};
+
+const drawPanel = (canvas, panel, snapshot, style, hoveredIndex) => {
+    const ratio = window.devicePixelRatio || 1;
+    const width = canvas.clientWidth;
+    const height = canvas.clientHeight;
+    if (canvas.width !== Math.round(width * ratio) || canvas.height !== Math.round(height * ratio)) {
+        canvas.width = Math.round(width * ratio);
+        canvas.height = Math.round(height * ratio);
+    }
+
+    const ctx = canvas.getContext('2d');
+    ctx.setTransform(ratio, 0, 0, ratio, 0, 0);
+    ctx.clearRect(0, 0, width, height);
+    if (snapshot.count < 2) return null;
+
+    const transform = getTransform(panel, snapshot, width, height);
+    const bandSize = Math.ceil(snapshot.count / COLOR_BANDS);
+    ctx.lineWidth = 1;
+    for (let start = 0; start < snapshot.count - 1; start += bandSize) {
+        const end = Math.min(start + bandSize, snapshot.count - 1);
+        const {stroke, alpha} = getBandStyle(style, snapshot, Math.floor((start + end) / 2));
+        ctx.strokeStyle = stroke;
+        ctx.globalAlpha = alpha;
+        ctx.beginPath();
+        ctx.moveTo(transform.x(start), transform.y(start));
+        for (let i = start + 1; i <= end; i++) {
+            ctx.lineTo(transform.x(i), transform.y(i));
+        }
+        ctx.stroke();
+    }
+    ctx.globalAlpha = 1;
+
+    if (hoveredIndex !== null) {
+        const x = transform.x(hoveredIndex);
+        const y = transform.y(hoveredIndex);
+        ctx.strokeStyle = '#ffffff';
+        ctx.lineWidth = 1.5;
+        if (!panel.axes) {
+            ctx.setLineDash([3, 3]);
+            ctx.beginPath();
+            ctx.moveTo(x, 0);
+            ctx.lineTo(x, height);
+            ctx.stroke();
+            ctx.setLineDash([]);
+        }
+        ctx.beginPath();
+        ctx.arc(x, y, 4, 0, 2 * Math.PI);
+        ctx.stroke();
+    }
+
+    return transform;
+};
+
+// Linked 2D projections and time series of a trail. `trailRef` holds the trail to read from (see utils/trail.js);
+// `hoverRef` receives the serial number of the hovered point, or null, so the 3D view can highlight it.
+const TrailProjections = ({trailRef, hoverRef, colorMode, colormap, color}) => {
+    const canvasesRef = useRef({});
+    const transformsRef = useRef({});
+    const snapshotRef = useRef(null);
+    const styleRef = useRef(null);
+
+    useEffect(() => {
+        styleRef.current = {colorMode, colormap, color};
+    }, [colorMode, colormap, color]);
+
+    useEffect(() => {
+        let frame;
+        let lastDraw = 0;
+
+        const draw = (now) => {
+            frame = requestAnimationFrame(draw);
+            const trail = trailRef.current;
+            if (!trail || !styleRef.current || now - lastDraw < REDRAW_INTERVAL) return;
+            lastDraw = now;
+
+            const snapshot = trail.snapshot();
+            snapshotRef.current = snapshot;
+
+            const serial = hoverRef.current;
+            const first = snapshot.newest - snapshot.count + 1;
+            const hoveredIndex = serial !== null && serial >= first && serial <= snapshot.newest ? serial - first : null;
+
+            PANELS.forEach(panel => {
+                const canvas = canvasesRef.current[panel.key];
+                if (canvas) {
+                    transformsRef.current[panel.key] = drawPanel(canvas, panel, snapshot, styleRef.current, hoveredIndex);
+                }
+            });
+        };
+
+        frame = requestAnimationFrame(draw);
+        return () => cancelAnimationFrame(frame);
+    }, [trailRef, hoverRef]);
+
+    const handleMouseMove = (panel, event) => {
+        const snapshot = snapshotRef.current;
+        const transform = transformsRef.current[panel.key];
+        if (!snapshot || !transform) return;
+
+        const rect = event.currentTarget.getBoundingClientRect();
+        const pointerX = event.clientX - rect.left;
+        const pointerY = event.clientY - rect.top;
+
+        // Projections pick the nearest point on screen, time series the nearest instant
+        let best = -1;
+        let bestDistance = Infinity;
+        for (let i = 0; i < snapshot.count; i++) {
+            const dx = transform.x(i) - pointerX;
+            const distance = panel.axes ? Math.hypot(dx, transform.y(i) - pointerY) : Math.abs(dx);
+            if (distance < bestDistance) {
+                best = i;
+                bestDistance = distance;
+            }
+        }
+
+        hoverRef.current = best >= 0 && (!panel.axes || bestDistance <= HOVER_RADIUS)
+            ? snapshot.newest - snapshot.count + 1 + best
+            : null;
+    };
+
+    const handleMouseLeave = () => {
+        hoverRef.current = null;
+    };
+
+    return (
+        <div className="grid grid-cols-2 gap-2">
+            {PANELS.map(panel => (
+                <div key={panel.key}>
+                    <div className="text-xs text-gray-400 mb-1">{panel.label}</div>
+                    <canvas
+                        ref={(element) => {
+                            canvasesRef.current[panel.key] = element;
+                        }}
+                        className="w-full h-36 bg-gray-900 border border-gray-700"
+                        style={{cursor: 'crosshair'}}
+                        onMouseMove={(event) => handleMouseMove(panel, event)}
+                        onMouseLeave={handleMouseLeave}
+                    />
+                </div>
+            ))}
+        </div>
+    );
+};
+
+export default TrailProjections;
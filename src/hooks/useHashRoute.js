@@ -0,0 +1,19 @@
+import {useEffect, useState} from 'react';
+
+// Reads the route from a hash of the form `#/name`; an empty or unknown hash yields ''
+const readRoute = () => window.location.hash.replace(/^#\/?/, '').split(/[/?]/)[0];
+
+const useHashRoute = () => {
+    const [route, setRoute] = useState(readRoute);
+
+    useEffect(() => {
+        const onHashChange = () => setRoute(readRoute());
+
+        window.addEventListener('hashchange', onHashChange);
+        return () => window.removeEventListener('hashchange', onHashChange);
+    }, []);
+
+    return route;
+};
+
+export default useHashRoute;
@@ -0,0 +1,101 @@
+import {useEffect, useRef, useState} from 'react';
+
+// Changes closer together than this are folded into one browser history entry
+const HISTORY_COALESCE_MS = 1000;
+
+// Numbers are written with limited precision to keep links short
+const URL_PRECISION = 10;
+
+const decodeValue = (value) => {
+    const number = Number(value);
+    return value.trim() !== '' && Number.isFinite(number) ? number : value;
+};
+
+const encodeValue = (value) => (
+    typeof value === 'number' ? String(Number(value.toPrecision(URL_PRECISION))) : String(value)
+);
+
+// Keys are stored as `${namespace}.${key}`; the namespace itself may contain dots
+const readNamespace = (namespace) => {
+    const values = {};
+    new URLSearchParams(window.location.search).forEach((value, name) => {
+        const separator = name.lastIndexOf('.');
+        if (separator > 0 && name.slice(0, separator) === namespace) {
+            values[name.slice(separator + 1)] = decodeValue(value);
+        }
+    });
+    return values;
+};
+
+const buildUrl = (namespace, state, defaults) => {
+    const params = new URLSearchParams(window.location.search);
+    [...params.keys()].forEach(name => {
+        if (name.slice(0, name.lastIndexOf('.')) === namespace) params.delete(name);
+    });
+
+    // Only values that differ from the defaults are written
+    Object.entries(state).forEach(([key, value]) => {
+        if (value !== defaults[key]) params.set(`${namespace}.${key}`, encodeValue(value));
+    });
+
+    const search = params.toString();
+    return `${window.location.pathname}${search ? `?${search}` : ''}${window.location.hash}`;
+};
+
+// For `restore` functions: a value read from the URL as a finite number clamped to [min, max], or `fallback` when
+// the link carries anything else
+export const restoreNumber = (value, fallback, min = -Infinity, max = Infinity) => (
+    typeof value === 'number' && Number.isFinite(value) ? Math.min(max, Math.max(min, value)) : fallback
+);
+
+// restoreNumber for every input of a registry's `parameters` definitions ({min, max} keyed by name)
+export const restoreNumbers = (values, definitions, defaults) => Object.fromEntries(
+    Object.entries(definitions).map(([key, {min, max}]) => [key, restoreNumber(values[key], defaults[key], min, max)])
+);
+
+// useState that mirrors a flat object of parameters into the query string under a namespace.
+// The state is restored from the URL on load and on browser back/forward, and every change
+// updates the URL, pushing a new history entry unless the previous change was very recent.
+// `restore` turns the values found in the URL into a complete state object; by default they
+// are merged over `defaults`.
+const useUrlState = (namespace, defaults, restore) => {
+    const restoreRef = useRef(restore || ((values) => ({...defaults, ...values})));
+    const defaultsRef = useRef(defaults);
+    const lastPushRef = useRef(0);
+    // Set while applying a back/forward navigation, so the URL is not pushed again
+    const restoringRef = useRef(false);
+
+    const [state, setState] = useState(() => restoreRef.current(readNamespace(namespace)));
+
+    useEffect(() => {
+        const url = buildUrl(namespace, state, defaultsRef.current);
+        const currentUrl = `${window.location.pathname}${window.location.search}${window.location.hash}`;
+        if (url === currentUrl) return;
+
+        const now = Date.now();
+        if (!restoringRef.current && now - lastPushRef.current > HISTORY_COALESCE_MS) {
+            window.history.pushState(window.history.state, '', url);
+        } else {
+            window.history.replaceState(window.history.state, '', url);
+        }
+        lastPushRef.current = now;
+    }, [namespace, state]);
+
+    useEffect(() => {
+        restoringRef.current = false;
+    });
+
+    useEffect(() => {
+        const onPopState = () => {
+            restoringRef.current = true;
+            setState(restoreRef.current(readNamespace(namespace)));
+        };
+
+        window.addEventListener('popstate', onPopState);
+        return () => window.removeEventListener('popstate', onPopState);
+    }, [namespace]);
+
+    return [state, setState];
+};
+
+export default useUrlState;
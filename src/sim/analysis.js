@@ -0,0 +1,204 @@
+// Post-processing of simulated trajectories.
+
+// Euclidean distance between two states
+export const distance = (a, b) => Math.sqrt(a.reduce((sum, value, i) => sum + (value - b[i]) ** 2, 0));
+
+// Least-squares line y = slope × x + intercept through the points; null with fewer than two distinct x values
+export const linearFit = (xs, ys) => {
+    const n = xs.length;
+    if (n < 2) return null;
+
+    let meanX = 0;
+    let meanY = 0;
+    for (let i = 0; i < n; i++) {
+        meanX += xs[i] / n;
+        meanY += ys[i] / n;
+    }
+
+    let covariance = 0;
+    let variance = 0;
+    for (let i = 0; i < n; i++) {
+        covariance += (xs[i] - meanX) * (ys[i] - meanY);
+        variance += (xs[i] - meanX) ** 2;
+    }
+    if (variance === 0) return null;
+
+    const slope = covariance / variance;
+    return {slope, intercept: meanY - slope * meanX};
+};
+
+// Upward crossing of the plane state[axis] = value between two consecutive states, located by linear interpolation.
+// Returns the crossing point, or null if the segment does not cross the plane from below.
+export const sectionCrossing = (previous, current, axis, value) => {
+    if (!(previous[axis] < value && current[axis] >= value)) return null;
+    const t = (value - previous[axis]) / (current[axis] - previous[axis]);
+    return previous.map((component, i) => component + t * (current[i] - component));
+};
+
+// Real roots of t³ + pt + q = 0 (trigonometric form when there are three, Cardano's formula when there is one)
+export const depressedCubicRoots = (p, q) => {
+    const discriminant = -(4 * p * p * p + 27 * q * q);
+    if (p < 0 && discriminant > 0) {
+        const amplitude = 2 * Math.sqrt(-p / 3);
+        const angle = Math.acos(3 * q / (p * amplitude)) / 3;
+        return [0, 1, 2].map(k => amplitude * Math.cos(angle - 2 * Math.PI * k / 3));
+    }
+    const root = Math.sqrt(q * q / 4 + p * p * p / 27);
+    return [Math.cbrt(-q / 2 + root) + Math.cbrt(-q / 2 - root)];
+};
+
+// Height of the parabola through three equally spaced samples whose middle one is a local maximum
+export const parabolicPeak = (before, middle, after) => {
+    const curvature = before - 2 * middle + after;
+    if (curvature >= 0) return middle;
+    return middle - (after - before) ** 2 / (8 * curvature);
+};
+
+// Linear stability of an equilibrium of a planar flow from its Jacobian [[a, b], [c, d]]: the trace, determinant,
+// eigenvalues as {re, im} and the type of the equilibrium
+export const linearStability = ([[a, b], [c, d]]) => {
+    const trace = a + d;
+    const determinant = a * d - b * c;
+    const discriminant = trace * trace - 4 * determinant;
+    const eigenvalues = discriminant >= 0
+        ? [
+            {re: (trace + Math.sqrt(discriminant)) / 2, im: 0},
+            {re: (trace - Math.sqrt(discriminant)) / 2, im: 0}
+        ]
+        : [
+            {re: trace / 2, im: Math.sqrt(-discriminant) / 2},
+            {re: trace / 2, im: -Math.sqrt(-discriminant) / 2}
+        ];
+
+    // A trace that vanishes only up to rounding, as in conservative systems, still counts as zero
+    let type;
+    if (determinant < 0) {
+        type = 'saddle';
+    } else if (Math.abs(trace) <= 1e-12 * (Math.abs(a) + Math.abs(d) + 1)) {
+        type = 'center';
+    } else {
+        type = `${trace < 0 ? 'stable' : 'unstable'} ${discriminant >= 0 ? 'node' : 'focus'}`;
+    }
+
+    return {trace, determinant, eigenvalues, type};
+};
+
+// Period of an oscillation sampled at `times`, from the upward crossings of its mean located by linear interpolation.
+// A crossing only counts once the signal has dropped `hysteresis` × its range below the mean since the last one, so
+// noise near the mean is not mistaken for extra cycles. Returns {period, cycles, crossings}, the mean interval between
+// crossings with the crossing times, or null with fewer than two crossings.
+export const oscillationPeriod = (times, values, hysteresis = 0.1) => {
+    const n = values.length;
+    if (n < 3) return null;
+
+    let mean = 0;
+    let min = Infinity;
+    let max = -Infinity;
+    for (let i = 0; i < n; i++) {
+        mean += values[i] / n;
+        min = Math.min(min, values[i]);
+        max = Math.max(max, values[i]);
+    }
+    // A signal that has settled to a constant has no period
+    if (max - min <= 1e-9 * (Math.abs(mean) + 1)) return null;
+
+    const low = mean - hysteresis * (max - min);
+    const crossings = [];
+    let armed = false;
+    for (let i = 1; i < n; i++) {
+        if (values[i - 1] < low) armed = true;
+        if (armed && values[i - 1] < mean && values[i] >= mean) {
+            const t = (mean - values[i - 1]) / (values[i] - values[i - 1]);
+            crossings.push(times[i - 1] + t * (times[i] - times[i - 1]));
+            armed = false;
+        }
+    }
+    if (crossings.length < 2) return null;
+
+    const cycles = crossings.length - 1;
+    return {period: (crossings[cycles] - crossings[0]) / cycles, cycles, crossings};
+};
+
+// In-place radix-2 fast Fourier transform of the complex sequence (re, im), whose length must be a power of two
+export const fft = (re, im) => {
+    const n = re.length;
+    // Bit-reversal permutation
+    for (let i = 1, j = 0; i < n; i++) {
+        let bit = n >> 1;
+        for (; j & bit; bit >>= 1) j ^= bit;
+        j ^= bit;
+        if (i < j) {
+            [re[i], re[j]] = [re[j], re[i]];
+            [im[i], im[j]] = [im[j], im[i]];
+        }
+    }
+    for (let size = 2; size <= n; size *= 2) {
+        const angle = -2 * Math.PI / size;
+        for (let start = 0; start < n; start += size) {
+            for (let k = 0; k < size / 2; k++) {
+                const wr = Math.cos(angle * k);
+                const wi = Math.sin(angle * k);
+                const a = start + k;
+                const b = a + size / 2;
+                const tr = re[b] * wr - im[b] * wi;
+                const ti = re[b] * wi + im[b] * wr;
+                re[b] = re[a] - tr;
+                im[b] = im[a] - ti;
+                re[a] += tr;
+                im[a] += ti;
+            }
+        }
+    }
+    return {re, im};
+};
+
+// One-sided power spectrum of samples taken every `interval`, after removing the mean and applying a Hann window.
+// Zero-padding to `padding` times the next power of two interpolates between frequency bins.
+// Returns {frequencies, power} from zero to the Nyquist frequency.
+export const powerSpectrum = (values, interval, padding = 4) => {
+    const n = values.length;
+    let size = 1;
+    while (size < n) size *= 2;
+    size *= padding;
+
+    let mean = 0;
+    for (let i = 0; i < n; i++) mean += values[i] / n;
+
+    const re = new Float64Array(size);
+    const im = new Float64Array(size);
+    for (let i = 0; i < n; i++) {
+        const window = 0.5 - 0.5 * Math.cos(2 * Math.PI * i / Math.max(n - 1, 1));
+        re[i] = (values[i] - mean) * window;
+    }
+    fft(re, im);
+
+    const bins = size / 2 + 1;
+    const frequencies = new Float64Array(bins);
+    const power = new Float64Array(bins);
+    for (let k = 0; k < bins; k++) {
+        frequencies[k] = k / (size * interval);
+        power[k] = (re[k] * re[k] + im[k] * im[k]) / n;
+    }
+    return {frequencies, power};
+};
+
+// Frequency of the highest peak of a power spectrum away from zero frequency, refined by fitting a parabola through
+// the peak bin and its neighbours; null if the spectrum has no such peak
+export const dominantFrequency = ({frequencies, power}) => {
+    // Skip the slope down from zero frequency, which the windowed mean leaves behind
+    let start = 1;
+    while (start < power.length - 1 && power[start + 1] <= power[start]) start++;
+
+    let best = -1;
+    for (let k = start; k < power.length - 1; k++) {
+        if (power[k] > 0 && (best < 0 || power[k] > power[best])) best = k;
+    }
+    if (best < 1) return null;
+
+    const before = power[best - 1];
+    const middle = power[best];
+    const after = power[best + 1];
+    const curvature = before - 2 * middle + after;
+    const offset = curvature < 0 ? (before - after) / (2 * curvature) : 0;
+    return frequencies[best] + offset * (frequencies[1] - frequencies[0]);
+};
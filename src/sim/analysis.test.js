@@ -0,0 +1,27 @@
+import {describe, it} from 'node:test';
+import assert from 'node:assert/strict';
+import {dominantFrequency, oscillationPeriod, powerSpectrum} from './analysis.js';
+
+describe('oscillation analysis', () => {
+    // 16 cycles of a pure sinusoid of period 2.5 sampled every 0.01
+    const period = 2.5;
+    const interval = 0.01;
+    const times = Array.from({length: 4000}, (_, i) => i * interval);
+    const values = times.map(t => 3 + Math.sin(2 * Math.PI * t / period));
+
+    it('measures the period of a sinusoid from its mean crossings', () => {
+        const result = oscillationPeriod(times, values);
+        // The crossing at t = 0 is not counted because the signal has not been below the mean before it
+        assert.equal(result.cycles, 14);
+        assert.ok(Math.abs(result.period - period) < 1e-4);
+    });
+
+    it('finds the frequency of a sinusoid in its power spectrum', () => {
+        const frequency = dominantFrequency(powerSpectrum(values, interval));
+        assert.ok(Math.abs(frequency - 1 / period) < 1e-3);
+    });
+
+    it('finds no period in a constant signal', () => {
+        assert.equal(oscillationPeriod(times, times.map(() => 1)), null);
+    });
+});
@@ -0,0 +1,53 @@
+// Ensembles of trajectories stored as packed arrays [x₀, y₀, z₀, x₁, y₁, z₁, …], for advecting particle clouds.
+
+import {TABLEAUS} from './integrators.js';
+
+// `count` points spread uniformly through the ball of `radius` around `center`
+export const seedBall = (count, center, radius) => {
+    const dimension = center.length;
+    const states = new Float64Array(count * dimension);
+    for (let i = 0; i < count; i++) {
+        // Rejection sampling from the enclosing cube keeps the density uniform
+        let offset;
+        do {
+            offset = center.map(() => 2 * Math.random() - 1);
+        } while (offset.reduce((sum, value) => sum + value * value, 0) > 1);
+        offset.forEach((value, k) => {
+            states[i * dimension + k] = center[k] + radius * value;
+        });
+    }
+    return states;
+};
+
+// Advances every member of a packed ensemble in place by `steps` fixed steps of `method`.
+// Clouds of thousands of particles are stepped every animation frame, so each step works directly on the packed
+// array with one reused stage state instead of copying every particle into fresh arrays.
+export const advanceEnsemble = (system, states, dimension, dt, steps = 1, method = 'rk4') => {
+    const tableau = TABLEAUS[method];
+    if (!tableau) throw new Error(`Unknown integration method: ${method}`);
+
+    const {a, b} = tableau;
+    const stages = new Array(a.length);
+    const stage = new Array(dimension).fill(0);
+
+    for (let offset = 0; offset < states.length; offset += dimension) {
+        for (let step = 0; step < steps; step++) {
+            for (let s = 0; s < a.length; s++) {
+                const row = a[s];
+                for (let i = 0; i < dimension; i++) {
+                    let sum = 0;
+                    for (let j = 0; j < s; j++) sum += row[j] * stages[j][i];
+                    stage[i] = states[offset + i] + dt * sum;
+                }
+                stages[s] = system.derivatives(stage);
+            }
+            for (let i = 0; i < dimension; i++) {
+                let sum = 0;
+                for (let j = 0; j < b.length; j++) sum += b[j] * stages[j][i];
+                stage[i] = states[offset + i] + dt * sum;
+            }
+            states.set(system.constrain ? system.constrain(stage) : stage, offset);
+        }
+    }
+    return states;
+};
@@ -0,0 +1,30 @@
+import {describe, it} from 'node:test';
+import assert from 'node:assert/strict';
+import {advanceEnsemble, seedBall} from './ensemble.js';
+import {integrate} from './integrators.js';
+import {lorenz} from './systems.js';
+
+describe('advanceEnsemble', () => {
+    it('moves every particle as `integrate` does', () => {
+        const system = lorenz({sigma: 10, rho: 28, beta: 8 / 3});
+        for (const method of ['euler', 'rk4', 'rk45']) {
+            const states = seedBall(20, [1, 1, 1], 0.5);
+            const initial = Float64Array.from(states);
+            advanceEnsemble(system, states, 3, 0.001, 50, method);
+            for (let offset = 0; offset < states.length; offset += 3) {
+                const expected = integrate(system, Array.from(initial.subarray(offset, offset + 3)), 0.001, 50, method);
+                expected.forEach((value, i) => {
+                    assert.ok(Math.abs(states[offset + i] - value) < 1e-12 * (1 + Math.abs(value)), method);
+                });
+            }
+        }
+    });
+
+    it('applies the system constraint after every step', () => {
+        const drain = {derivatives: () => [-1], constrain: ([x]) => [Math.max(0, x)]};
+        const states = Float64Array.from([0.05, 1]);
+        advanceEnsemble(drain, states, 1, 0.1, 5);
+        assert.equal(states[0], 0);
+        assert.ok(Math.abs(states[1] - 0.5) < 1e-12);
+    });
+});
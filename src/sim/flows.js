@@ -0,0 +1,190 @@
+// Registry of three-dimensional chaotic flows shown in the attractor viewer.
+//
+// Each model defines:
+//   parameters     - slider definitions keyed by parameter name (label, symbol, range, step, default)
+//   equations      - the system written out for display
+//   description    - notes shown below the viewer
+//   initial        - default initial condition [x, y, z]
+//   frameDuration  - simulated time per animation frame at speed 1, matched to the flow's natural time scale
+//   camera         - initial camera position and the lookAt target at the center of the attractor
+//   lyapunov       - published largest Lyapunov exponent at the default parameters, where known
+//   section        - optional Poincaré plane state[axis] = value(params), crossed upwards, with a display label and size
+//   maxima         - optional coordinate whose successive maxima form the flow's return map
+//   fixedPoints    - equilibria at the given parameter values as {label, point}, where they have a closed form
+//   system         - builds the system for `integrate` from the parameter values
+
+import {depressedCubicRoots} from './analysis.js';
+import {lorenz} from './systems.js';
+
+export const DEFAULT_FLOW = 'lorenz';
+
+const ORIGIN = {label: 'O', point: [0, 0, 0]};
+
+export const FLOWS = {
+    lorenz: {
+        label: 'Lorenz',
+        equations: ['dx/dt = σ(y - x)', 'dy/dt = x(ρ - z) - y', 'dz/dt = xy - βz'],
+        description: [
+            'A simplified model of atmospheric convection and the original butterfly effect',
+            'Trajectories wind around two unstable fixed points, switching lobes unpredictably'
+        ],
+        parameters: {
+            sigma: {label: 'Sigma', symbol: 'σ', min: 5, max: 20, step: 0.1, default: 10},
+            rho: {label: 'Rho', symbol: 'ρ', min: 20, max: 35, step: 0.1, default: 28},
+            beta: {label: 'Beta', symbol: 'β', min: 1, max: 4, step: 0.01, default: 8 / 3}
+        },
+        initial: [1, 1, 1],
+        frameDuration: 0.01,
+        camera: {position: [50, 50, 50], target: [0, 0, 25]},
+        lyapunov: 0.906,
+        // The plane through the two non-trivial fixed points C± and Lorenz's map of successive z maxima
+        section: {axis: 2, value: ({rho}) => rho - 1, label: 'z = ρ - 1', size: 60},
+        maxima: 2,
+        // C± exist for ρ > 1; at the slider range they are always present
+        fixedPoints: ({rho, beta}) => {
+            const r = Math.sqrt(beta * (rho - 1));
+            return [ORIGIN, {label: 'C+', point: [r, r, rho - 1]}, {label: 'C−', point: [-r, -r, rho - 1]}];
+        },
+        system: lorenz
+    },
+    rossler: {
+        label: 'Rössler',
+        equations: ['dx/dt = -y - z', 'dy/dt = x + ay', 'dz/dt = b + z(x - c)'],
+        description: [
+            'Designed by Otto Rössler as the simplest continuous flow with a chaotic attractor',
+            'A single folded band: trajectories spiral outward in the plane and are reinjected by spikes in z'
+        ],
+        parameters: {
+            a: {label: 'A', symbol: 'a', min: 0.05, max: 0.4, step: 0.01, default: 0.2},
+            b: {label: 'B', symbol: 'b', min: 0.05, max: 2, step: 0.01, default: 0.2},
+            c: {label: 'C', symbol: 'c', min: 2, max: 12, step: 0.1, default: 5.7}
+        },
+        initial: [1, 1, 0],
+        frameDuration: 0.04,
+        camera: {position: [25, 20, 30], target: [0, 0, 3]},
+        lyapunov: 0.071,
+        section: {axis: 0, value: () => 0, label: 'x = 0', size: 30},
+        maxima: 0,
+        // x² - cx + ab = 0 with y = -x/a, z = x/a: P− at the center of the spiral, P+ far out along the spike
+        fixedPoints: ({a, b, c}) => {
+            const discriminant = c * c - 4 * a * b;
+            if (discriminant < 0) return [];
+            return [['P−', -1], ['P+', 1]].map(([label, sign]) => {
+                const x = (c + sign * Math.sqrt(discriminant)) / 2;
+                return {label, point: [x, -x / a, x / a]};
+            });
+        },
+        system: ({a, b, c}) => ({
+            derivatives: ([x, y, z]) => [-y - z, x + a * y, b + z * (x - c)]
+        })
+    },
+    chen: {
+        label: 'Chen',
+        equations: ['dx/dt = a(y - x)', 'dy/dt = (c - a)x - xz + cy', 'dz/dt = xy - bz'],
+        description: [
+            'A dual of the Lorenz system found by Guanrong Chen through chaos anti-control',
+            'Its two-scroll attractor is topologically distinct from the Lorenz attractor despite the similar equations'
+        ],
+        parameters: {
+            a: {label: 'A', symbol: 'a', min: 30, max: 40, step: 0.1, default: 35},
+            b: {label: 'B', symbol: 'b', min: 1, max: 5, step: 0.01, default: 3},
+            c: {label: 'C', symbol: 'c', min: 20, max: 30, step: 0.1, default: 28}
+        },
+        initial: [-10, 0, 37],
+        frameDuration: 0.004,
+        camera: {position: [55, 45, 75], target: [0, 0, 25]},
+        lyapunov: 2.027,
+        // The plane through the non-trivial fixed points
+        section: {axis: 2, value: ({a, c}) => 2 * c - a, label: 'z = 2c - a', size: 60},
+        maxima: 2,
+        fixedPoints: ({a, b, c}) => {
+            const r = Math.sqrt(b * (2 * c - a));
+            return [ORIGIN, {label: 'C+', point: [r, r, 2 * c - a]}, {label: 'C−', point: [-r, -r, 2 * c - a]}];
+        },
+        system: ({a, b, c}) => ({
+            derivatives: ([x, y, z]) => [a * (y - x), (c - a) * x - x * z + c * y, x * y - b * z]
+        })
+    },
+    thomas: {
+        label: 'Thomas',
+        equations: ['dx/dt = sin y - bx', 'dy/dt = sin z - by', 'dz/dt = sin x - bz'],
+        description: [
+            'René Thomas’s cyclically symmetric flow, a model of feedback circuits',
+            'As the damping b decreases the attractor becomes chaotic and, at b = 0, a random walk through a lattice'
+        ],
+        parameters: {
+            b: {label: 'Damping', symbol: 'b', min: 0.1, max: 0.33, step: 0.001, default: 0.208186}
+        },
+        initial: [0.1, 0, 0],
+        frameDuration: 0.08,
+        camera: {position: [9, 8, 9], target: [1.5, 1.5, 1.5]},
+        // The other equilibria solve sin s = bs and multiply as b decreases; only the origin is marked
+        fixedPoints: () => [ORIGIN],
+        system: ({b}) => ({
+            derivatives: ([x, y, z]) => [Math.sin(y) - b * x, Math.sin(z) - b * y, Math.sin(x) - b * z]
+        })
+    },
+    aizawa: {
+        label: 'Aizawa',
+        equations: [
+            'dx/dt = (z - b)x - dy',
+            'dy/dt = dx + (z - b)y',
+            'dz/dt = c + az - z³/3 - (x² + y²)(1 + ez) + fzx³'
+        ],
+        description: [
+            'A torus-like attractor: a sphere pierced by a tube along the z axis',
+            'Trajectories spiral around the sphere and escape through the tube'
+        ],
+        parameters: {
+            a: {label: 'A', symbol: 'a', min: 0.5, max: 1.2, step: 0.01, default: 0.95},
+            b: {label: 'B', symbol: 'b', min: 0.5, max: 1, step: 0.01, default: 0.7},
+            c: {label: 'C', symbol: 'c', min: 0.3, max: 0.9, step: 0.01, default: 0.6},
+            d: {label: 'D', symbol: 'd', min: 2, max: 5, step: 0.1, default: 3.5},
+            e: {label: 'E', symbol: 'e', min: 0, max: 0.5, step: 0.01, default: 0.25},
+            f: {label: 'F', symbol: 'f', min: 0, max: 0.3, step: 0.01, default: 0.1}
+        },
+        initial: [0.1, 0, 0],
+        frameDuration: 0.015,
+        camera: {position: [3, 2.5, 4], target: [0, 0, 0.5]},
+        // Equilibria lie on the z axis at the real roots of z³ - 3az - 3c = 0
+        fixedPoints: ({a, c}) => depressedCubicRoots(-3 * a, -3 * c)
+            .sort((p, q) => q - p)
+            .map((z, index) => ({label: `P${index + 1}`, point: [0, 0, z]})),
+        system: ({a, b, c, d, e, f}) => ({
+            derivatives: ([x, y, z]) => [
+                (z - b) * x - d * y,
+                d * x + (z - b) * y,
+                c + a * z - z * z * z / 3 - (x * x + y * y) * (1 + e * z) + f * z * x * x * x
+            ]
+        })
+    },
+    halvorsen: {
+        label: 'Halvorsen',
+        equations: ['dx/dt = -ax - 4y - 4z - y²', 'dy/dt = -ay - 4z - 4x - z²', 'dz/dt = -az - 4x - 4y - x²'],
+        description: [
+            'A cyclically symmetric flow whose attractor has three interlinked lobes',
+            'Each lobe is the image of the next under the rotation x → y → z → x'
+        ],
+        parameters: {
+            a: {label: 'A', symbol: 'a', min: 1, max: 2.5, step: 0.01, default: 1.89}
+        },
+        initial: [-1.48, -1.51, 2.04],
+        frameDuration: 0.006,
+        camera: {position: [19, 15, 19], target: [-3, -3, -3]},
+        // On the diagonal x = y = z = s the flow vanishes at s = 0 and s = -(a + 8)
+        fixedPoints: ({a}) => [ORIGIN, {label: 'P', point: [-(a + 8), -(a + 8), -(a + 8)]}],
+        system: ({a}) => ({
+            derivatives: ([x, y, z]) => [
+                -a * x - 4 * y - 4 * z - y * y,
+                -a * y - 4 * z - 4 * x - z * z,
+                -a * z - 4 * x - 4 * y - x * x
+            ]
+        })
+    }
+};
+
+export const getFlow = (id) => FLOWS[id] || FLOWS[DEFAULT_FLOW];
+
+export const getDefaultFlowParameters = (id) => Object.fromEntries(
+    Object.entries(getFlow(id).parameters).map(([key, {default: value}]) => [key, value])
+);
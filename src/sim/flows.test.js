@@ -0,0 +1,20 @@
+import {describe, it} from 'node:test';
+import assert from 'node:assert/strict';
+import {FLOWS, getDefaultFlowParameters} from './flows.js';
+
+describe('FLOWS', () => {
+    it('list equilibria that are zeros of the derivatives', () => {
+        Object.entries(FLOWS).forEach(([id, flow]) => {
+            const parameters = getDefaultFlowParameters(id);
+            const system = flow.system(parameters);
+            const fixedPoints = flow.fixedPoints(parameters);
+            assert.ok(fixedPoints.length > 0, id);
+            fixedPoints.forEach(({point}) => {
+                const scale = 1 + Math.max(...point.map(Math.abs));
+                system.derivatives(point).forEach(value => {
+                    assert.ok(Math.abs(value) < 1e-9 * scale, `${id}: derivative ${value} at [${point}]`);
+                });
+            });
+        });
+    });
+});
@@ -0,0 +1,77 @@
+// Framework-free simulation core shared by the React components and usable from Node scripts:
+//
+//   import {integrate, lorenz, simulateLogistic} from './src/sim/index.js';
+//
+//   simulateLogistic({initialPopulation, growthRate, carryingCapacity, years})
+//       → [{year, population}, …]
+//   iterateMap(model, parameters, initialState, steps)
+//       → [x₀, x₁, …, x_steps] for any map in MAPS
+//   bifurcation({model, parameters, minParameter, maxParameter, columns, initialState, settlePeriods, samplePeriods})
+//       → [{parameter, orbit, lyapunov, period}, …]
+//   integrate(system, state, dt, steps, method)
+//       → state after `steps` steps of `method` ('euler', 'rk4' or 'rk45'), e.g. integrate(lorenz({sigma, rho, beta}), [1, 1, 1], 0.01, 100)
+//   integrateAdaptive(system, state, duration, tolerance, initialStep)
+//       → {state, step, error, nextStep, steps} after `duration` of adaptive Dormand–Prince steps
+//   advanceEnsemble(system, seedBall(count, center, radius), dimension, dt, steps, method)
+//       → packed [x, y, z, …] states of a particle cloud after `steps` steps
+//   stepReactionDiffusion(seedField(createField(size, fixedPoint), fixedPoint), brusselator({A, B}), {Dx, Dy, dt, boundary}, steps)
+//       → the grid {size, x, y} of a reaction–diffusion system after `steps` explicit steps,
+//         with dt from stableTimeStep(field, system, {Dx, Dy}, maxStep)
+//   simulateReactions(brusselator({A, B}).reactions, toCounts(state, omega), omega, duration, method, tau)
+//       → {counts, events} after `duration` of Gillespie SSA ('gillespie') or tau-leaping ('tauLeaping')
+//   linearFit(xs, ys)
+//       → {slope, intercept} of the least-squares line, e.g. a Lyapunov exponent from ln‖Δ‖ against t
+//   linearStability(brusselator({A, B}).jacobian(fixedPoint))
+//       → {trace, determinant, eigenvalues, type} of an equilibrium of a planar flow
+//   oscillationPeriod(times, values), dominantFrequency(powerSpectrum(values, interval))
+//       → period of a sampled oscillation from its mean crossings, and its main frequency from the spectrum
+
+export {DEFAULT_MAP, MAPS, getMap, getDefaultParameters, getSweepStateRange, formatState} from './maps.js';
+export {iterateMap, simulateLogistic, sampleOrbit, bifurcation, bifurcationColumn} from './iterate.js';
+export {
+    MAX_PERIOD,
+    FEIGENBAUM_DELTA,
+    detectPeriod,
+    cycleMultiplier,
+    findPeriodDoublings,
+    feigenbaumRatios
+} from './periods.js';
+export {
+    METHODS,
+    TABLEAUS,
+    euler,
+    rk4,
+    rk45,
+    dormandPrince,
+    integrate,
+    integrateAdaptive,
+    localError
+} from './integrators.js';
+export {brusselator, fitzhughNagumo, lorenz, lotkaVolterra, oregonator, selkov, vanDerPol} from './systems.js';
+export {DEFAULT_OSCILLATOR, OSCILLATORS, getOscillator, getDefaultOscillatorParameters} from './oscillators.js';
+export {DEFAULT_FLOW, FLOWS, getFlow, getDefaultFlowParameters} from './flows.js';
+export {advanceEnsemble, seedBall} from './ensemble.js';
+export {
+    GRID_SIZES,
+    MIN_DIFFUSION,
+    BOUNDARIES,
+    stableTimeStep,
+    createField,
+    seedField,
+    perturbField,
+    stepReactionDiffusion,
+    criticalWavelength
+} from './reactionDiffusion.js';
+export {STOCHASTIC_METHODS, toCounts, gillespie, tauLeap, simulateReactions} from './stochastic.js';
+export {
+    distance,
+    linearFit,
+    linearStability,
+    depressedCubicRoots,
+    parabolicPeak,
+    sectionCrossing,
+    oscillationPeriod,
+    fft,
+    powerSpectrum,
+    dominantFrequency
+} from './analysis.js';
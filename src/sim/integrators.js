@@ -0,0 +1,147 @@
+// Explicit one-step integrators for autonomous systems dy/dt = f(y).
+// States and derivatives are plain arrays of numbers.
+
+const addScaled = (state, derivative, scale) => state.map((value, i) => value + scale * derivative[i]);
+
+// state + dt × Σ weights[j] × stages[j]
+const combine = (state, stages, weights, dt) => state.map((value, i) => {
+    let sum = 0;
+    for (let j = 0; j < weights.length; j++) {
+        if (weights[j] !== 0) sum += weights[j] * stages[j][i];
+    }
+    return value + dt * sum;
+});
+
+export const euler = (f, state, dt) => addScaled(state, f(state), dt);
+
+export const rk4 = (f, state, dt) => {
+    const k1 = f(state);
+    const k2 = f(addScaled(state, k1, 0.5 * dt));
+    const k3 = f(addScaled(state, k2, 0.5 * dt));
+    const k4 = f(addScaled(state, k3, dt));
+    return state.map((value, i) => value + (dt / 6) * (k1[i] + 2 * k2[i] + 2 * k3[i] + k4[i]));
+};
+
+// Dormand–Prince 5(4) tableau; the last row of A is also the fifth-order solution weights
+const DOPRI_A = [
+    [],
+    [1 / 5],
+    [3 / 40, 9 / 40],
+    [44 / 45, -56 / 15, 32 / 9],
+    [19372 / 6561, -25360 / 2187, 64448 / 6561, -212 / 729],
+    [9017 / 3168, -355 / 33, 46732 / 5247, 49 / 176, -5103 / 18656],
+    [35 / 384, 0, 500 / 1113, 125 / 192, -2187 / 6784, 11 / 84]
+];
+
+// Difference between the fifth- and fourth-order weights
+const DOPRI_ERROR = [71 / 57600, 0, -71 / 16695, 71 / 1920, -17253 / 339200, 22 / 525, -1 / 40];
+
+// One Dormand–Prince step: the fifth-order solution and the embedded error estimate vector
+export const dormandPrince = (f, state, dt) => {
+    const stages = [f(state)];
+    for (let s = 1; s < DOPRI_A.length; s++) {
+        stages.push(f(combine(state, stages, DOPRI_A[s], dt)));
+    }
+
+    const next = combine(state, stages, DOPRI_A[DOPRI_A.length - 1], dt);
+    const error = combine(state.map(() => 0), stages, DOPRI_ERROR, dt);
+    return {state: next, error};
+};
+
+export const rk45 = (f, state, dt) => dormandPrince(f, state, dt).state;
+
+export const METHODS = {euler, rk4, rk45};
+
+// Butcher tableaus of the same methods, stage coefficients `a` and solution weights `b`, for steppers that work in
+// preallocated buffers instead of fresh arrays (see ensemble.js). RK45 needs only the six stages of its solution.
+export const TABLEAUS = {
+    euler: {a: [[]], b: [1]},
+    rk4: {a: [[], [1 / 2], [0, 1 / 2], [0, 0, 1]], b: [1 / 6, 1 / 3, 1 / 3, 1 / 6]},
+    rk45: {a: DOPRI_A.slice(0, 6), b: DOPRI_A[6].slice(0, 6)}
+};
+
+// Order of accuracy of each fixed-step method, used by the step-doubling error estimate
+const ORDERS = {euler: 1, rk4: 4, rk45: 5};
+
+// Advances `state` by `steps` fixed steps of size `dt` through `system`, an object with
+// `derivatives(state)` and an optional `constrain(state)` applied after every step.
+export const integrate = (system, state, dt, steps = 1, method = 'rk4') => {
+    const stepper = METHODS[method];
+    if (!stepper) throw new Error(`Unknown integration method: ${method}`);
+
+    let current = state;
+    for (let i = 0; i < steps; i++) {
+        current = stepper(system.derivatives, current, dt);
+        if (system.constrain) current = system.constrain(current);
+    }
+    return current;
+};
+
+// Local truncation error of one fixed step, estimated by step doubling:
+// the difference between one step of dt and two steps of dt/2, scaled by Richardson's factor.
+// Returns the largest component of the error.
+export const localError = (system, state, dt, method = 'rk4') => {
+    const stepper = METHODS[method];
+    if (!stepper) throw new Error(`Unknown integration method: ${method}`);
+
+    const full = stepper(system.derivatives, state, dt);
+    const half = stepper(system.derivatives, stepper(system.derivatives, state, dt / 2), dt / 2);
+    const factor = Math.pow(2, ORDERS[method]) / (Math.pow(2, ORDERS[method]) - 1);
+    return Math.max(...full.map((value, i) => Math.abs(value - half[i]))) * factor;
+};
+
+// Step-size controller bounds and safety factor
+const SAFETY = 0.9;
+const MIN_SCALE = 0.2;
+const MAX_SCALE = 5;
+const MAX_REJECTIONS = 50;
+
+// Integrates `system` over exactly `duration` with adaptive Dormand–Prince steps.
+// The error of each step is measured against `tolerance` in a mixed absolute/relative norm.
+// `initialStep` is the first trial step, typically the `nextStep` returned by the previous call.
+// Returns the final state, the last accepted step size and its largest local error component,
+// the suggested next step and the number of accepted steps.
+export const integrateAdaptive = (system, state, duration, tolerance, initialStep = duration) => {
+    let current = state;
+    let elapsed = 0;
+    let dt = Math.min(initialStep, duration);
+    let lastStep = 0;
+    let lastError = 0;
+    let steps = 0;
+    let rejections = 0;
+
+    while (elapsed < duration) {
+        const remaining = duration - elapsed;
+        const trial = Math.min(dt, remaining);
+        const {state: next, error} = dormandPrince(system.derivatives, current, trial);
+
+        // RMS of the error relative to tolerance × (1 + |y|)
+        let sum = 0;
+        for (let i = 0; i < current.length; i++) {
+            const scale = tolerance * (1 + Math.max(Math.abs(current[i]), Math.abs(next[i])));
+            sum += (error[i] / scale) ** 2;
+        }
+        const norm = Math.sqrt(sum / current.length);
+
+        const factor = norm === 0 ? MAX_SCALE : Math.min(MAX_SCALE, Math.max(MIN_SCALE, SAFETY * Math.pow(norm, -1 / 5)));
+
+        if (norm <= 1 || rejections >= MAX_REJECTIONS || !Number.isFinite(norm)) {
+            current = system.constrain ? system.constrain(next) : next;
+            elapsed += trial;
+            // Report the controller's own step rather than one shortened to end the interval
+            if (trial === dt || steps === 0) {
+                lastStep = trial;
+                lastError = Math.max(...error.map(Math.abs));
+            }
+            steps++;
+            rejections = 0;
+            // Do not let the shortened final step of the interval shrink the suggestion
+            if (trial === dt || factor < 1) dt = trial * factor;
+        } else {
+            dt = trial * factor;
+            rejections++;
+        }
+    }
+
+    return {state: current, step: lastStep, error: lastError, nextStep: dt, steps};
+};
@@ -0,0 +1,29 @@
+import {describe, it} from 'node:test';
+import assert from 'node:assert/strict';
+import {integrate, integrateAdaptive} from './integrators.js';
+import {lorenz} from './systems.js';
+
+const system = lorenz({sigma: 10, rho: 28, beta: 8 / 3});
+
+describe('integrate', () => {
+    it('matches the exact solution of exponential decay', () => {
+        const decay = {derivatives: ([x]) => [-x]};
+        const [x] = integrate(decay, [1], 0.01, 100);
+        assert.ok(Math.abs(x - Math.exp(-1)) < 1e-10);
+    });
+
+    it('rejects unknown methods', () => {
+        assert.throws(() => integrate(system, [1, 1, 1], 0.01, 1, 'leapfrog'), /Unknown integration method/);
+    });
+});
+
+describe('integrateAdaptive', () => {
+    it('agrees with fixed-step RK4 on the Lorenz system', () => {
+        const fixed = integrate(system, [1, 1, 1], 1e-4, 10000);
+        const {state, steps} = integrateAdaptive(system, [1, 1, 1], 1, 1e-10, 1e-3);
+        assert.ok(steps > 0);
+        state.forEach((value, i) => {
+            assert.ok(Math.abs(value - fixed[i]) < 1e-6 * (1 + Math.abs(fixed[i])));
+        });
+    });
+});
@@ -0,0 +1,83 @@
+// Iteration of the one-dimensional maps in `maps.js`: time series, orbits and bifurcation sweeps.
+
+import {getMap} from './maps.js';
+import {detectPeriod} from './periods.js';
+
+// Returns the states x₀ … x_steps of the orbit starting at `initialState`
+export const iterateMap = (model, parameters, initialState, steps) => {
+    const {step} = getMap(model);
+    const states = [initialState];
+    let x = initialState;
+    for (let t = 0; t < steps; t++) {
+        x = step(x, parameters);
+        states.push(x);
+    }
+    return states;
+};
+
+// Logistic growth x' = r·x·(1 - x/K), returning one {year, population} entry per year
+export const simulateLogistic = ({initialPopulation, growthRate, carryingCapacity, years}) => (
+    iterateMap('logistic', {growthRate, carryingCapacity}, initialPopulation, years)
+        .map((population, year) => ({year, population}))
+);
+
+// Discards `settlePeriods` transient iterations, then records `samplePeriods` states of the orbit
+// together with its Lyapunov exponent, the mean of ln|f'(x)| along the samples
+export const sampleOrbit = (model, parameters, initialState, settlePeriods, samplePeriods) => {
+    const {step, derivative} = getMap(model);
+
+    let x = initialState;
+    for (let t = 0; t < settlePeriods; t++) {
+        x = step(x, parameters);
+    }
+
+    const orbit = new Float64Array(samplePeriods);
+    let logDerivativeSum = 0;
+    for (let t = 0; t < samplePeriods; t++) {
+        // Clamp before the logarithm so superstable points do not give -Infinity
+        logDerivativeSum += Math.log(Math.max(Math.abs(derivative(x, parameters)), 1e-12));
+        x = step(x, parameters);
+        orbit[t] = x;
+    }
+
+    return {orbit, lyapunov: samplePeriods > 0 ? logDerivativeSum / samplePeriods : 0};
+};
+
+// Samples the attractor at `columns` evenly spaced values of the model's sweep parameter.
+// Each column holds the parameter value, the sampled orbit, its Lyapunov exponent and detected period.
+export const bifurcation = ({
+    model,
+    parameters,
+    minParameter,
+    maxParameter,
+    columns,
+    initialState,
+    settlePeriods,
+    samplePeriods
+}) => {
+    const {sweep} = getMap(model);
+    const stepSize = (maxParameter - minParameter) / Math.max(columns - 1, 1);
+    const result = [];
+
+    for (let i = 0; i < columns; i++) {
+        const columnParameters = {...parameters, [sweep.parameter]: minParameter + i * stepSize};
+        result.push(bifurcationColumn(model, columnParameters, initialState, settlePeriods, samplePeriods));
+    }
+
+    return result;
+};
+
+// One column of the bifurcation sweep at fully specified parameters
+export const bifurcationColumn = (model, parameters, initialState, settlePeriods, samplePeriods) => {
+    const {sweep, stateRange} = getMap(model);
+    const {orbit, lyapunov} = sampleOrbit(model, parameters, initialState, settlePeriods, samplePeriods);
+    // The period tolerance is relative to the model's own state scale
+    const [low, high] = stateRange(parameters);
+
+    return {
+        parameter: parameters[sweep.parameter],
+        orbit,
+        lyapunov,
+        period: detectPeriod(orbit, high - low)
+    };
+};
@@ -0,0 +1,30 @@
+import {describe, it} from 'node:test';
+import assert from 'node:assert/strict';
+import {sampleOrbit, simulateLogistic} from './iterate.js';
+
+describe('simulateLogistic', () => {
+    it('converges to the fixed point K(1 - 1/r) for 1 < r < 3', () => {
+        for (const growthRate of [1.5, 2, 2.8]) {
+            const carryingCapacity = 1000;
+            const series = simulateLogistic({initialPopulation: 10, growthRate, carryingCapacity, years: 500});
+            assert.equal(series.length, 501);
+            assert.deepEqual(series[0], {year: 0, population: 10});
+            const expected = carryingCapacity * (1 - 1 / growthRate);
+            assert.ok(Math.abs(series[500].population - expected) < 1e-9 * expected);
+        }
+    });
+
+    it('dies out for r < 1', () => {
+        const series = simulateLogistic({initialPopulation: 500, growthRate: 0.5, carryingCapacity: 1000, years: 100});
+        assert.ok(series[100].population < 1e-20);
+    });
+});
+
+describe('sampleOrbit', () => {
+    it('gives the tent map a Lyapunov exponent of ln μ', () => {
+        for (const mu of [1.2, 1.5, 1.8]) {
+            const {lyapunov} = sampleOrbit('tent', {mu}, 0.2, 100, 1000);
+            assert.ok(Math.abs(lyapunov - Math.log(mu)) < 1e-12);
+        }
+    });
+});
@@ -0,0 +1,184 @@
+// Registry of one-dimensional maps x' = f(x) shared by the population calculator and the bifurcation diagram.
+//
+// Each model defines:
+//   parameters  - input definitions keyed by parameter name (label, symbol, range, step, default)
+//   initial     - input definition for the initial state x₀
+//   sweep       - the parameter swept on the bifurcation diagram's horizontal axis and its default range
+//   stateLabel  - name of the state variable in charts and tooltips
+//   decimals    - display precision for state values (0 for population counts)
+//   step        - f(x, params)
+//   derivative  - f'(x, params), used for Lyapunov exponents
+//   stateRange  - [min, max] window containing the attractor for the given params
+
+export const DEFAULT_MAP = 'logistic';
+
+export const MAPS = {
+    logistic: {
+        label: 'Logistic',
+        formula: 'Next Population = r × Current Population × (1 - Current Population / K)',
+        description: [
+            'The classic logistic map: growth slows linearly as the population approaches the carrying capacity',
+            'Period doubling starts at r = 3 and chaos sets in beyond r ≈ 3.5699'
+        ],
+        parameters: {
+            growthRate: {label: 'Growth Rate', symbol: 'r', min: 0.1, max: 4.0, step: 0.1, default: 3.8},
+            carryingCapacity: {label: 'Carrying Capacity', symbol: 'K', min: 100, max: 10000, step: 1, default: 1000}
+        },
+        initial: {label: 'Initial Population', min: 1, max: 1000, step: 1, default: 100},
+        sweep: {parameter: 'growthRate', min: 2.0, max: 4.0},
+        stateLabel: 'Population',
+        decimals: 0,
+        step: (x, {growthRate, carryingCapacity}) => Math.max(0, growthRate * x * (1 - x / carryingCapacity)),
+        derivative: (x, {growthRate, carryingCapacity}) => growthRate * (1 - 2 * x / carryingCapacity),
+        stateRange: ({carryingCapacity}) => [0, carryingCapacity]
+    },
+    ricker: {
+        label: 'Ricker',
+        formula: 'Next Population = Current Population × exp(r × (1 - Current Population / K))',
+        description: [
+            'Overcompensating density dependence from fisheries stock–recruitment models',
+            'The population never becomes negative; chaos appears beyond r ≈ 2.69'
+        ],
+        parameters: {
+            growthRate: {label: 'Growth Rate', symbol: 'r', min: 0.1, max: 4.0, step: 0.1, default: 3.0},
+            carryingCapacity: {label: 'Carrying Capacity', symbol: 'K', min: 100, max: 10000, step: 1, default: 1000}
+        },
+        initial: {label: 'Initial Population', min: 1, max: 1000, step: 1, default: 100},
+        sweep: {parameter: 'growthRate', min: 1.5, max: 4.0},
+        stateLabel: 'Population',
+        decimals: 0,
+        step: (x, {growthRate, carryingCapacity}) => x * Math.exp(growthRate * (1 - x / carryingCapacity)),
+        derivative: (x, {growthRate, carryingCapacity}) =>
+            (1 - growthRate * x / carryingCapacity) * Math.exp(growthRate * (1 - x / carryingCapacity)),
+        // The map peaks at x = K/r
+        stateRange: ({growthRate, carryingCapacity}) =>
+            [0, Math.max(carryingCapacity, carryingCapacity / growthRate * Math.exp(growthRate - 1))]
+    },
+    bevertonHolt: {
+        label: 'Beverton–Holt',
+        formula: 'Next Population = R × Current Population / (1 + (R - 1) × Current Population / K)',
+        description: [
+            'Compensating density dependence: the population approaches K monotonically',
+            'There are no oscillations or chaos for any R > 1, a useful contrast to the logistic map'
+        ],
+        parameters: {
+            growthRate: {label: 'Growth Rate', symbol: 'R', min: 0.1, max: 10, step: 0.1, default: 2.0},
+            carryingCapacity: {label: 'Carrying Capacity', symbol: 'K', min: 100, max: 10000, step: 1, default: 1000}
+        },
+        initial: {label: 'Initial Population', min: 1, max: 1000, step: 1, default: 100},
+        sweep: {parameter: 'growthRate', min: 0.5, max: 4.0},
+        stateLabel: 'Population',
+        decimals: 0,
+        step: (x, {growthRate, carryingCapacity}) =>
+            growthRate * x / (1 + (growthRate - 1) * x / carryingCapacity),
+        derivative: (x, {growthRate, carryingCapacity}) =>
+            growthRate / Math.pow(1 + (growthRate - 1) * x / carryingCapacity, 2),
+        stateRange: ({carryingCapacity}) => [0, carryingCapacity * 1.2]
+    },
+    tent: {
+        label: 'Tent',
+        formula: 'x′ = μ × min(x, 1 - x)',
+        description: [
+            'A piecewise-linear map whose slope is ±μ everywhere, so λ = ln μ exactly',
+            'Chaotic bands appear for every μ > 1'
+        ],
+        parameters: {
+            mu: {label: 'Slope', symbol: 'μ', min: 0, max: 2, step: 0.01, default: 1.5}
+        },
+        initial: {label: 'Initial Value', min: 0, max: 1, step: 0.01, default: 0.2},
+        sweep: {parameter: 'mu', min: 1.0, max: 2.0},
+        stateLabel: 'x',
+        decimals: 4,
+        step: (x, {mu}) => mu * Math.min(x, 1 - x),
+        derivative: (x, {mu}) => (x < 0.5 ? mu : -mu),
+        stateRange: () => [0, 1]
+    },
+    sine: {
+        label: 'Sine',
+        formula: 'x′ = r × sin(πx)',
+        description: [
+            'A smooth unimodal map qualitatively equivalent to the logistic map',
+            'Its period-doubling cascade converges with the same Feigenbaum constant δ ≈ 4.669'
+        ],
+        parameters: {
+            amplitude: {label: 'Amplitude', symbol: 'r', min: 0, max: 1, step: 0.01, default: 0.9}
+        },
+        initial: {label: 'Initial Value', min: 0, max: 1, step: 0.01, default: 0.2},
+        sweep: {parameter: 'amplitude', min: 0.6, max: 1.0},
+        stateLabel: 'x',
+        decimals: 4,
+        step: (x, {amplitude}) => amplitude * Math.sin(Math.PI * x),
+        derivative: (x, {amplitude}) => amplitude * Math.PI * Math.cos(Math.PI * x),
+        stateRange: () => [0, 1]
+    },
+    gauss: {
+        label: 'Gauss',
+        formula: 'x′ = exp(-α × x²) + β',
+        description: [
+            'The Gauss (mouse) map shows period doubling followed by period halving as β increases',
+            'Swept along β its bifurcation diagram has a characteristic mouse shape'
+        ],
+        parameters: {
+            alpha: {label: 'Alpha', symbol: 'α', min: 1, max: 10, step: 0.1, default: 6.2},
+            beta: {label: 'Beta', symbol: 'β', min: -1, max: 1, step: 0.01, default: -0.5}
+        },
+        initial: {label: 'Initial Value', min: -1, max: 1, step: 0.01, default: 0.1},
+        sweep: {parameter: 'beta', min: -1.0, max: 1.0},
+        stateLabel: 'x',
+        decimals: 4,
+        step: (x, {alpha, beta}) => Math.exp(-alpha * x * x) + beta,
+        derivative: (x, {alpha}) => -2 * alpha * x * Math.exp(-alpha * x * x),
+        stateRange: ({beta}) => [Math.min(beta, 0), Math.max(1 + beta, 1)]
+    },
+    hassell: {
+        label: 'Hassell',
+        formula: 'Next Population = λ × Current Population / (1 + a × Current Population)^b',
+        description: [
+            'A flexible insect population model: b < 1 under-compensates, b > 1 over-compensates',
+            'Large λ with strong competition b produces cycles and chaos'
+        ],
+        parameters: {
+            lambda: {label: 'Finite Growth Rate', symbol: 'λ', min: 1, max: 200, step: 1, default: 100},
+            a: {label: 'Scale', symbol: 'a', min: 0.001, max: 1, step: 0.001, default: 0.01},
+            b: {label: 'Competition', symbol: 'b', min: 0.1, max: 20, step: 0.1, default: 6}
+        },
+        initial: {label: 'Initial Population', min: 1, max: 1000, step: 1, default: 10},
+        sweep: {parameter: 'b', min: 1.0, max: 10.0},
+        stateLabel: 'Population',
+        decimals: 0,
+        step: (x, {lambda, a, b}) => lambda * x / Math.pow(1 + a * x, b),
+        derivative: (x, {lambda, a, b}) => lambda * Math.pow(1 + a * x, -b - 1) * (1 + a * x - a * b * x),
+        // For b > 1 the map peaks at x = 1/(a(b-1)); otherwise it is monotone and the attractor is the equilibrium
+        stateRange: ({lambda, a, b}) => {
+            if (b > 1) {
+                const peak = 1 / (a * (b - 1));
+                return [0, lambda * peak / Math.pow(1 + a * peak, b)];
+            }
+            return [0, (Math.pow(lambda, 1 / b) - 1) / a * 1.2];
+        }
+    }
+};
+
+export const getMap = (id) => MAPS[id] || MAPS[DEFAULT_MAP];
+
+export const getDefaultParameters = (id) => Object.fromEntries(
+    Object.entries(getMap(id).parameters).map(([key, {default: value}]) => [key, value])
+);
+
+// Union of the state ranges over a parameter sweep, used as the default vertical window of the bifurcation diagram
+export const getSweepStateRange = (id, params, minValue, maxValue, samples = 20) => {
+    const map = getMap(id);
+    const key = map.sweep.parameter;
+    let [low, high] = map.stateRange(params);
+    for (let i = 0; i <= samples; i++) {
+        const [sampleLow, sampleHigh] = map.stateRange({...params, [key]: minValue + (maxValue - minValue) * i / samples});
+        low = Math.min(low, sampleLow);
+        high = Math.max(high, sampleHigh);
+    }
+    return [low, high];
+};
+
+export const formatState = (id, value) => {
+    const {decimals} = getMap(id);
+    return decimals > 0 ? value.toFixed(decimals) : Math.round(value).toLocaleString();
+};
@@ -0,0 +1,169 @@
+// Registry of planar chemical and biological oscillators shown in the oscillator simulator.
+//
+// Each model defines:
+//   label        - name in the model selector
+//   variables    - display names of the two state variables
+//   parameters   - input definitions keyed by parameter name (label, range, step, default)
+//   initial      - default initial condition [x, y]
+//   dt           - integration step, small enough for the model's fastest time scale
+//   stepsPerFrame - steps per animation frame, so one oscillation takes a few seconds on screen
+//   view         - phase-plane range {x: [min, max], y: [min, max]} shown before the trajectory extends it
+//   scheme       - reaction scheme or equations for the scheme panel
+//   fixedPoint   - the interior fixed point written out
+//   hopf         - optional parameter whose Hopf bifurcation value the system reports, with its symbol and formula
+//   description  - notes shown below the scheme
+//   spatial      - optional; offers the 2D reaction–diffusion mode, whose analysis needs the system's turingThreshold
+//   stochastic   - optional; offers stochastic kinetics on molecule counts, which need the system's reactions
+//   system       - builds the system for `integrate` from the parameter values (see systems.js)
+
+import {brusselator, fitzhughNagumo, lotkaVolterra, oregonator, selkov, vanDerPol} from './systems.js';
+
+export const DEFAULT_OSCILLATOR = 'brusselator';
+
+export const OSCILLATORS = {
+    brusselator: {
+        label: 'Brusselator',
+        variables: ['X', 'Y'],
+        parameters: {
+            B: {label: 'Parameter B', min: 0, max: 10, step: 0.1, default: 5.5},
+            A: {label: 'Parameter A', min: 0.1, max: 5, step: 0.1, default: 2},
+            k1: {label: 'Rate k₁', min: 0.1, max: 3, step: 0.1, default: 1},
+            k2: {label: 'Rate k₂', min: 0.1, max: 3, step: 0.1, default: 1},
+            k3: {label: 'Rate k₃', min: 0.1, max: 3, step: 0.1, default: 1},
+            k4: {label: 'Rate k₄', min: 0.1, max: 3, step: 0.1, default: 1}
+        },
+        initial: [1, 1],
+        dt: 0.01,
+        stepsPerFrame: 1,
+        view: {x: [0, 5], y: [0, 5]},
+        scheme: ['A → X', 'B + X → Y + D', '2X + Y → 3X', 'X → E'],
+        fixedPoint: '(k₁A/k₄, k₂k₄B/k₁k₃A)',
+        hopf: {parameter: 'B', symbol: 'B', formula: 'Bₕ = (k₄ + k₃X*²)/k₂, i.e. 1 + A² with unit rates'},
+        description: [
+            'The Brusselator is a theoretical model for autocatalytic chemical reactions',
+            'The only steady state is X* = k₁A/k₄, Y* = k₂k₄B/k₁k₃A, i.e. (A, B/A) with unit rates. Its Jacobian always has a positive determinant, so stability is decided by the sign of the trace k₂B - k₄ - k₃X*²',
+            'Below Bₕ = (k₄ + k₃X*²)/k₂ = 1 + A² (unit rates) the trace is negative and any disturbance dies out; as B crosses Bₕ the complex eigenvalue pair crosses the imaginary axis (a Hopf bifurcation) and the steady state gives way to a limit cycle whose amplitude grows with B - Bₕ',
+            'Above Bₕ, add trajectories from inside and outside the limit cycle: all of them wind onto the same closed orbit, which is what makes it an attracting limit cycle rather than a family of neutral orbits'
+        ],
+        spatial: true,
+        stochastic: true,
+        system: brusselator
+    },
+    oregonator: {
+        label: 'Oregonator (Belousov–Zhabotinsky)',
+        variables: ['x', 'z'],
+        parameters: {
+            epsilon: {label: 'Time-scale ratio ε', min: 0.02, max: 0.2, step: 0.01, default: 0.04},
+            q: {label: 'Rate ratio q', min: 0.0002, max: 0.01, step: 0.0001, default: 0.0008},
+            f: {label: 'Stoichiometry f', min: 0.3, max: 3, step: 0.05, default: 1}
+        },
+        initial: [0.1, 0.1],
+        // The HBrO₂ equation is stiff near x ≈ q, so explicit steps have to be short
+        dt: 0.0005,
+        stepsPerFrame: 20,
+        view: {x: [0, 1], y: [0, 0.4]},
+        scheme: [
+            'BrO₃⁻ + Br⁻ → HBrO₂ + HOBr',
+            'HBrO₂ + Br⁻ → 2HOBr',
+            'BrO₃⁻ + HBrO₂ → 2HBrO₂ + 2Ce(IV)',
+            '2HBrO₂ → BrO₃⁻ + HOBr',
+            'Ce(IV) → ½f Br⁻'
+        ],
+        fixedPoint: 'x* = z* = ½(1 - f - q + √((1 - f - q)² + 4q(1 + f)))',
+        description: [
+            'The Field–Kőrös–Noyes mechanism of the Belousov–Zhabotinsky reaction, in which cerium-catalysed oxidation of malonic acid by bromate makes the solution pulse between colorless and yellow',
+            'In Tyson’s two-variable scaling x is the autocatalyst HBrO₂ and z the oxidized catalyst Ce(IV); the fast bromide concentration is slaved to them',
+            'Because ε ≪ 1 the trajectory is a relaxation oscillation: it creeps along the left and right branches of the x nullcline and jumps quickly between them',
+            'Oscillations occur for f roughly between 0.5 and 1 + √2; outside that range the steady state is stable'
+        ],
+        system: oregonator
+    },
+    selkov: {
+        label: 'Sel’kov Glycolysis',
+        variables: ['ADP', 'F6P'],
+        parameters: {
+            a: {label: 'Parameter a', min: 0.01, max: 0.2, step: 0.005, default: 0.08},
+            b: {label: 'Parameter b', min: 0.1, max: 1.5, step: 0.01, default: 0.6}
+        },
+        initial: [1, 1],
+        dt: 0.02,
+        stepsPerFrame: 1,
+        view: {x: [0, 2], y: [0, 3]},
+        scheme: ['→ F6P', 'F6P → ADP', 'F6P + 2ADP → 3ADP', 'ADP →'],
+        fixedPoint: '(b, b/(a + b²))',
+        description: [
+            'Sel’kov’s model of the glycolytic oscillations seen in yeast extracts, where the enzyme phosphofructokinase converts F6P into ADP',
+            'The enzyme is activated by its own product ADP, and this autocatalysis drives the oscillation',
+            'With a = 0.08 the steady state is unstable for b between about 0.35 and 0.85; at either end a Hopf bifurcation shrinks the limit cycle back onto it'
+        ],
+        system: selkov
+    },
+    lotkaVolterra: {
+        label: 'Lotka–Volterra',
+        variables: ['Prey', 'Predators'],
+        parameters: {
+            alpha: {label: 'Prey growth α', min: 0.1, max: 3, step: 0.05, default: 1.1},
+            beta: {label: 'Predation β', min: 0.05, max: 1, step: 0.01, default: 0.4},
+            delta: {label: 'Predator gain δ', min: 0.02, max: 0.5, step: 0.01, default: 0.1},
+            gamma: {label: 'Predator death γ', min: 0.1, max: 3, step: 0.05, default: 0.4}
+        },
+        initial: [10, 5],
+        dt: 0.02,
+        stepsPerFrame: 1,
+        view: {x: [0, 15], y: [0, 8]},
+        scheme: ['A + X → 2X', 'X + Y → 2Y', 'Y → B'],
+        fixedPoint: '(γ/δ, α/β)',
+        description: [
+            'Lotka’s autocatalytic reaction scheme and Volterra’s model of predators and prey share these equations',
+            'The steady state is a center: the quantity δx - γ ln x + βy - α ln y is conserved, so every initial condition lies on its own closed orbit',
+            'Add trajectories from different points to see nested cycles that never converge, in contrast to the limit cycles of the other models'
+        ],
+        system: lotkaVolterra
+    },
+    fitzhughNagumo: {
+        label: 'FitzHugh–Nagumo',
+        variables: ['v', 'w'],
+        parameters: {
+            current: {label: 'Stimulus current I', min: 0, max: 1.5, step: 0.01, default: 0.5},
+            a: {label: 'Parameter a', min: 0, max: 1.5, step: 0.01, default: 0.7},
+            b: {label: 'Parameter b', min: 0.1, max: 1, step: 0.01, default: 0.8},
+            epsilon: {label: 'Time-scale ratio ε', min: 0.01, max: 0.5, step: 0.01, default: 0.08}
+        },
+        initial: [-1, 1],
+        dt: 0.05,
+        stepsPerFrame: 1,
+        view: {x: [-2.5, 2.5], y: [-1, 2]},
+        scheme: ['dv/dt = v - v³/3 - w + I', 'dw/dt = ε(v + a - bw)'],
+        fixedPoint: 'where w = v - v³/3 + I meets w = (v + a)/b',
+        description: [
+            'A two-variable reduction of the Hodgkin–Huxley model of a nerve cell: v is the membrane potential and w a slow recovery variable',
+            'Without stimulus the resting state is stable and a small kick produces a single spike; a sustained current I moves the steady state onto the middle branch of the cubic nullcline, where it becomes unstable and the neuron fires periodically'
+        ],
+        system: fitzhughNagumo
+    },
+    vanDerPol: {
+        label: 'Van der Pol',
+        variables: ['x', 'y'],
+        parameters: {
+            mu: {label: 'Damping μ', min: 0.1, max: 5, step: 0.1, default: 1.5}
+        },
+        initial: [0.5, 0],
+        dt: 0.01,
+        stepsPerFrame: 1,
+        view: {x: [-3, 3], y: [-4, 4]},
+        scheme: ['dx/dt = y', 'dy/dt = μ(1 - x²)y - x'],
+        fixedPoint: '(0, 0)',
+        hopf: {parameter: 'mu', symbol: 'μ', formula: 'μₕ'},
+        description: [
+            'Van der Pol’s model of a triode oscillator: damping is negative for small amplitudes and positive for large ones',
+            'For small μ the limit cycle is nearly a circle of radius 2; for large μ it becomes a relaxation oscillation with slow drifts and fast jumps'
+        ],
+        system: vanDerPol
+    }
+};
+
+export const getOscillator = (id) => OSCILLATORS[id] || OSCILLATORS[DEFAULT_OSCILLATOR];
+
+export const getDefaultOscillatorParameters = (id) => Object.fromEntries(
+    Object.entries(getOscillator(id).parameters).map(([key, {default: value}]) => [key, value])
+);
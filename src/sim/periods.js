@@ -0,0 +1,148 @@
+// Attractor period detection and period-doubling analysis for one-dimensional maps.
+
+import {getMap} from './maps.js';
+
+// Longest cycle the period finder looks for
+export const MAX_PERIOD = 32;
+
+// Relative tolerance on |x(t + p) - x(t)| for an orbit to count as p-periodic
+export const PERIOD_TOLERANCE = 1e-5;
+
+// Number of neighbouring columns searched when bracketing a doubling point
+const BRACKET_SEARCH = 50;
+
+// Reference value of the first Feigenbaum constant
+export const FEIGENBAUM_DELTA = 4.669201609102990;
+
+// Returns the smallest p such that the tail of the orbit repeats with period p, or 0 if none is found (chaos).
+// `scale` is the typical size of the state, so the tolerance is independent of units.
+export const detectPeriod = (orbit, scale, maxPeriod = MAX_PERIOD, tolerance = PERIOD_TOLERANCE) => {
+    const length = orbit.length;
+    const threshold = tolerance * scale;
+
+    for (let period = 1; period <= maxPeriod && 2 * period <= length; period++) {
+        // Compare the last two full windows of the candidate period
+        let periodic = true;
+        for (let t = Math.max(period, length - 2 * maxPeriod); t < length; t++) {
+            if (Math.abs(orbit[t] - orbit[t - period]) > threshold) {
+                periodic = false;
+                break;
+            }
+        }
+        if (periodic) return period;
+    }
+
+    return 0;
+};
+
+// Multiplier of the p-cycle at the given parameters: the product of f'(x) around the cycle.
+// The cycle is located with Newton's method on f^p(x) - x, which converges whether the cycle is stable or not.
+export const cycleMultiplier = (model, parameters, period, initialState, settlePeriods) => {
+    const {step, derivative} = getMap(model);
+
+    let x = initialState;
+    for (let t = 0; t < settlePeriods; t++) {
+        x = step(x, parameters);
+    }
+
+    // Just past a doubling the orbit alternates around the unstable p-cycle, so start between partner points
+    let partner = x;
+    for (let i = 0; i < period; i++) {
+        partner = step(partner, parameters);
+    }
+    x = (x + partner) / 2;
+
+    for (let iteration = 0; iteration < 50; iteration++) {
+        let y = x;
+        let product = 1;
+        for (let i = 0; i < period; i++) {
+            product *= derivative(y, parameters);
+            y = step(y, parameters);
+        }
+
+        const slope = product - 1;
+        if (slope === 0 || !Number.isFinite(slope)) return NaN;
+
+        const correction = (y - x) / slope;
+        x -= correction;
+        if (Math.abs(correction) <= 1e-14 * Math.max(Math.abs(x), 1)) break;
+    }
+
+    let product = 1;
+    let y = x;
+    for (let i = 0; i < period; i++) {
+        product *= derivative(y, parameters);
+        y = step(y, parameters);
+    }
+    return product;
+};
+
+// Locates the period-doubling points r₁, r₂, … of the cascade starting at period 1.
+// `values` and `periods` are the swept parameter values and the detected period at each of them.
+// Each doubling p → 2p is bracketed from the column data and then refined by bisection on multiplier(r) = -1.
+export const findPeriodDoublings = (model, parameters, values, periods, initialState, settlePeriods) => {
+    const sweepKey = getMap(model).sweep.parameter;
+    const doublings = [];
+
+    let searchFrom = 0;
+    for (let period = 1; 2 * period <= MAX_PERIOD; period *= 2) {
+        const upper = periods.indexOf(2 * period, searchFrom);
+        if (upper < 0) break;
+
+        let lower = upper - 1;
+        while (lower >= searchFrom && periods[lower] !== period) lower--;
+        if (lower < searchFrom) break;
+
+        const excess = (value) => cycleMultiplier(
+            model, {...parameters, [sweepKey]: value}, period, initialState, settlePeriods
+        ) + 1;
+
+        // Slowly converging orbits near the doubling can be misclassified, so widen the bracket
+        // over neighbouring columns until the multiplier straddles -1
+        let lowIndex = lower;
+        let lowExcess = excess(values[lowIndex]);
+        while (!(lowExcess > 0) && lowIndex > searchFrom && lower - lowIndex < BRACKET_SEARCH) {
+            lowIndex--;
+            lowExcess = excess(values[lowIndex]);
+        }
+        let highIndex = upper;
+        let highExcess = excess(values[highIndex]);
+        while (!(highExcess < 0) && highIndex < values.length - 1 && highIndex - upper < BRACKET_SEARCH) {
+            highIndex++;
+            highExcess = excess(values[highIndex]);
+        }
+
+        let low = values[lowIndex];
+        let high = values[highIndex];
+        let refined = (values[lower] + values[upper]) / 2;
+
+        // A stable p-cycle has multiplier > -1, just past the doubling it drops below -1
+        if (lowExcess > 0 && highExcess < 0) {
+            for (let iteration = 0; iteration < 60; iteration++) {
+                const middle = (low + high) / 2;
+                const middleExcess = excess(middle);
+                if (!Number.isFinite(middleExcess)) break;
+                if (middleExcess > 0) {
+                    low = middle;
+                } else {
+                    high = middle;
+                }
+            }
+            refined = (low + high) / 2;
+        }
+
+        doublings.push({from: period, to: 2 * period, value: refined});
+        searchFrom = upper;
+    }
+
+    return doublings;
+};
+
+// Ratios δₙ = (rₙ - rₙ₋₁) / (rₙ₊₁ - rₙ), which converge to Feigenbaum's δ along the cascade
+export const feigenbaumRatios = (doublings) => {
+    const ratios = [];
+    for (let n = 1; n + 1 < doublings.length; n++) {
+        ratios.push((doublings[n].value - doublings[n - 1].value) / (doublings[n + 1].value - doublings[n].value));
+    }
+    return ratios;
+};
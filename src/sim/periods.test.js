@@ -0,0 +1,37 @@
+import {describe, it} from 'node:test';
+import assert from 'node:assert/strict';
+import {bifurcation} from './iterate.js';
+import {getDefaultParameters} from './maps.js';
+import {FEIGENBAUM_DELTA, feigenbaumRatios, findPeriodDoublings} from './periods.js';
+
+describe('findPeriodDoublings', () => {
+    const parameters = getDefaultParameters('logistic');
+    const columns = bifurcation({
+        model: 'logistic',
+        parameters,
+        minParameter: 2.9,
+        maxParameter: 3.57,
+        columns: 2000,
+        initialState: 100,
+        settlePeriods: 1000,
+        samplePeriods: 200
+    });
+    const doublings = findPeriodDoublings(
+        'logistic', parameters, columns.map(({parameter}) => parameter), columns.map(({period}) => period), 100, 1000
+    );
+
+    it('finds the logistic doublings r₁ = 3 and r₂ = 1 + √6', () => {
+        assert.ok(doublings.length >= 4);
+        assert.deepEqual(doublings.slice(0, 3).map(({from, to}) => [from, to]), [[1, 2], [2, 4], [4, 8]]);
+        assert.ok(Math.abs(doublings[0].value - 3) < 1e-6);
+        assert.ok(Math.abs(doublings[1].value - (1 + Math.sqrt(6))) < 1e-6);
+    });
+
+    it('gives ratios approaching Feigenbaum δ', () => {
+        const ratios = feigenbaumRatios(doublings);
+        assert.ok(ratios.length >= 2);
+        const errors = ratios.map(ratio => Math.abs(ratio - FEIGENBAUM_DELTA));
+        assert.ok(errors[errors.length - 1] < errors[0]);
+        assert.ok(errors[errors.length - 1] < 0.01);
+    });
+});
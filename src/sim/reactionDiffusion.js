@@ -0,0 +1,121 @@
+// Two-species reaction–diffusion on a square grid with unit spacing:
+//
+//   ∂x/∂t = f(x, y) + Dx ∇²x,   ∂y/∂t = g(x, y) + Dy ∇²y
+//
+// where (f, g) are the `derivatives` of any planar system from systems.js. Fields are row-major Float64Arrays;
+// stepping uses explicit Euler with the five-point Laplacian.
+
+// Grid sizes offered by the simulator; stepping cost grows with the number of cells
+export const GRID_SIZES = [64, 128, 256];
+
+// Smallest diffusion coefficient offered; the Turing analysis needs both coefficients positive
+export const MIN_DIFFUSION = 0.1;
+
+export const BOUNDARIES = {
+    periodic: {label: 'Periodic'},
+    noFlux: {label: 'No-flux'}
+};
+
+// Time step for explicit Euler on the current field, which is stable while dt times the fastest rate stays below 2.
+// Diffusion on the unit grid has rates up to 8D and is kept at 80% of its limit. The reaction rates are bounded by the
+// largest absolute row sum of the Jacobian over all cells; they are kept at a quarter of the limit because they change
+// within a step and grow quickly in relaxation bursts. The step never exceeds `maxStep`.
+export const stableTimeStep = (field, system, {Dx, Dy}, maxStep) => {
+    let rate = 0;
+    const state = [0, 0];
+    for (let i = 0; i < field.x.length; i++) {
+        state[0] = field.x[i];
+        state[1] = field.y[i];
+        const [[a, b], [c, d]] = system.jacobian(state);
+        rate = Math.max(rate, Math.abs(a) + Math.abs(b), Math.abs(c) + Math.abs(d));
+    }
+    return Math.min(maxStep, 0.2 / Math.max(Dx, Dy, 1e-9), 0.5 / Math.max(rate, 1e-9));
+};
+
+// A size × size grid at the uniform state [x, y]
+export const createField = (size, [x, y]) => ({
+    size,
+    x: new Float64Array(size * size).fill(x),
+    y: new Float64Array(size * size).fill(y),
+    // Scratch arrays swapped with x and y on every step
+    nextX: new Float64Array(size * size),
+    nextY: new Float64Array(size * size)
+});
+
+// Resets the field to the uniform state [x, y] plus independent uniform noise of relative amplitude `noise`
+export const seedField = (field, [x, y], noise = 0.05) => {
+    for (let i = 0; i < field.x.length; i++) {
+        field.x[i] = x * (1 + noise * (2 * Math.random() - 1));
+        field.y[i] = y * (1 + noise * (2 * Math.random() - 1));
+    }
+    return field;
+};
+
+// Adds the amounts to the two species inside the disc of `radius` cells around (column, row), clipped to the grid
+export const perturbField = (field, column, row, radius, [amountX, amountY]) => {
+    const {size} = field;
+    const reach = Math.ceil(radius);
+    for (let r = Math.max(0, row - reach); r <= Math.min(size - 1, row + reach); r++) {
+        for (let c = Math.max(0, column - reach); c <= Math.min(size - 1, column + reach); c++) {
+            if ((r - row) ** 2 + (c - column) ** 2 > radius * radius) continue;
+            const i = r * size + c;
+            field.x[i] = Math.max(0, field.x[i] + amountX);
+            field.y[i] = Math.max(0, field.y[i] + amountY);
+        }
+    }
+    return field;
+};
+
+// Index of each cell's neighbour one step back and forward along a row or column. No-flux boundaries mirror the
+// edge cell onto itself, so no material crosses the boundary.
+const neighbours = (size, boundary) => {
+    const previous = new Int32Array(size);
+    const next = new Int32Array(size);
+    for (let i = 0; i < size; i++) {
+        previous[i] = i > 0 ? i - 1 : (boundary === 'periodic' ? size - 1 : 0);
+        next[i] = i < size - 1 ? i + 1 : (boundary === 'periodic' ? 0 : size - 1);
+    }
+    return {previous, next};
+};
+
+// Advances the field in place by `steps` Euler steps of length `dt`. Concentrations are kept non-negative.
+export const stepReactionDiffusion = (field, system, {Dx, Dy, dt, boundary = 'periodic'}, steps = 1) => {
+    const {size} = field;
+    const {previous, next} = neighbours(size, boundary);
+    const state = [0, 0];
+
+    for (let step = 0; step < steps; step++) {
+        const {x, y, nextX, nextY} = field;
+        for (let row = 0; row < size; row++) {
+            const up = previous[row] * size;
+            const down = next[row] * size;
+            const offset = row * size;
+            for (let column = 0; column < size; column++) {
+                const i = offset + column;
+                const left = offset + previous[column];
+                const right = offset + next[column];
+                const laplacianX = x[up + column] + x[down + column] + x[left] + x[right] - 4 * x[i];
+                const laplacianY = y[up + column] + y[down + column] + y[left] + y[right] - 4 * y[i];
+
+                state[0] = x[i];
+                state[1] = y[i];
+                const [dx, dy] = system.derivatives(state);
+                nextX[i] = Math.max(0, x[i] + dt * (dx + Dx * laplacianX));
+                nextY[i] = Math.max(0, y[i] + dt * (dy + Dy * laplacianY));
+            }
+        }
+        field.x = nextX;
+        field.y = nextY;
+        field.nextX = x;
+        field.nextY = y;
+    }
+    return field;
+};
+
+// Wavelength in grid cells of the first mode to grow at the Turing threshold, where k² = √(det J / (Dx·Dy)),
+// for the Jacobian J of the reaction terms at the uniform steady state
+export const criticalWavelength = ([[a, b], [c, d]], Dx, Dy) => {
+    const determinant = a * d - b * c;
+    if (determinant <= 0) return null;
+    return 2 * Math.PI / Math.sqrt(Math.sqrt(determinant / (Dx * Dy)));
+};
@@ -0,0 +1,99 @@
+// Stochastic simulation of well-mixed reaction networks on molecule counts.
+//
+// A network is a list of reactions {propensity, change}: `propensity(counts, omega)` is the rate at which the reaction
+// fires given the molecule counts in a volume of system size Ω, and `change` is what one firing adds to the counts.
+// Concentrations are counts / Ω; as Ω grows, trajectories approach the deterministic rate equations.
+
+export const STOCHASTIC_METHODS = {
+    gillespie: {label: 'Gillespie SSA'},
+    tauLeaping: {label: 'Tau-Leaping'}
+};
+
+// Molecule counts nearest to the concentrations `state` at system size Ω
+export const toCounts = (state, omega) => state.map(value => Math.max(0, Math.round(value * omega)));
+
+// Standard normal deviate by the Box–Muller transform
+const gaussian = () => Math.sqrt(-2 * Math.log(1 - Math.random())) * Math.cos(2 * Math.PI * Math.random());
+
+// Poisson deviate: Knuth's product of uniforms for small means, a rounded normal approximation for large ones
+const poisson = (mean) => {
+    if (mean <= 0) return 0;
+    if (mean > 30) return Math.max(0, Math.round(mean + Math.sqrt(mean) * gaussian()));
+
+    const limit = Math.exp(-mean);
+    let count = 0;
+    let product = Math.random();
+    while (product > limit) {
+        count++;
+        product *= Math.random();
+    }
+    return count;
+};
+
+// Exact trajectory of Gillespie's direct method over `duration`: exponential waiting times with the total propensity
+// as rate, and each reaction chosen with probability proportional to its propensity.
+// The first event past the end is discarded, which is exact because waiting times are memoryless.
+export const gillespie = (reactions, counts, omega, duration) => {
+    const next = [...counts];
+    const propensities = new Float64Array(reactions.length);
+    let time = 0;
+    let events = 0;
+
+    for (;;) {
+        let total = 0;
+        reactions.forEach(({propensity}, j) => {
+            propensities[j] = propensity(next, omega);
+            total += propensities[j];
+        });
+        // No reaction can fire any more
+        if (total <= 0) break;
+
+        time -= Math.log(1 - Math.random()) / total;
+        if (time > duration) break;
+
+        let target = Math.random() * total;
+        let j = 0;
+        while (j < reactions.length - 1 && target >= propensities[j]) {
+            target -= propensities[j];
+            j++;
+        }
+        reactions[j].change.forEach((delta, i) => {
+            next[i] += delta;
+        });
+        events++;
+    }
+
+    return {counts: next, events};
+};
+
+// Approximate trajectory over `duration` in leaps of `tau`: each reaction fires a Poisson number of times with mean
+// propensity × tau, propensities held fixed during a leap. Much faster than the SSA when many molecules react per
+// leap; counts that a leap would drive negative are clipped to zero.
+export const tauLeap = (reactions, counts, omega, duration, tau) => {
+    const next = [...counts];
+    const leaps = Math.max(1, Math.round(duration / tau));
+    const step = duration / leaps;
+    let events = 0;
+
+    for (let leap = 0; leap < leaps; leap++) {
+        const firings = reactions.map(({propensity}) => poisson(propensity(next, omega) * step));
+        reactions.forEach(({change}, j) => {
+            change.forEach((delta, i) => {
+                next[i] += delta * firings[j];
+            });
+            events += firings[j];
+        });
+        for (let i = 0; i < next.length; i++) {
+            next[i] = Math.max(0, next[i]);
+        }
+    }
+
+    return {counts: next, events};
+};
+
+// Advances the counts by `duration` with the named method; `tau` is the leap length for tau-leaping
+export const simulateReactions = (reactions, counts, omega, duration, method = 'gillespie', tau = duration) => (
+    method === 'tauLeaping'
+        ? tauLeap(reactions, counts, omega, duration, tau)
+        : gillespie(reactions, counts, omega, duration)
+);
@@ -0,0 +1,142 @@
+// Continuous-time systems in the form expected by `integrate`.
+//
+// Planar oscillators also carry what the phase-plane analysis needs: the interior fixed point, the Jacobian,
+// the nullclines dx/dt = 0 and dy/dt = 0 as {y: (x) => y} or, for vertical lines, {x: (y) => x}, and, where it has
+// a closed form, the parameter value of the Hopf bifurcation named in the oscillator registry. The Brusselator also
+// carries its Turing threshold under diffusion and its reaction channels for stochastic simulation.
+
+import {depressedCubicRoots} from './analysis.js';
+
+// Brusselator: A → X, B + X → Y + D, 2X + Y → 3X, X → E.
+// Concentrations are kept non-negative.
+// The fixed point loses stability in a Hopf bifurcation at B = 1 + A² with unit rates.
+export const brusselator = ({A, B, k1 = 1, k2 = 1, k3 = 1, k4 = 1}) => {
+    const fixedX = k1 * A / k4;
+    return {
+        derivatives: ([x, y]) => [
+            k1 * A - k2 * B * x + k3 * x * x * y - k4 * x,
+            k2 * B * x - k3 * x * x * y
+        ],
+        constrain: ([x, y]) => [Math.max(0, x), Math.max(0, y)],
+        fixedPoint: [fixedX, k2 * B / (k3 * fixedX)],
+        jacobian: ([x, y]) => [
+            [-k2 * B + 2 * k3 * x * y - k4, k3 * x * x],
+            [k2 * B - 2 * k3 * x * y, -k3 * x * x]
+        ],
+        // The Y nullcline also contains the axis x = 0
+        nullclines: [
+            {y: (x) => ((k2 * B + k4) * x - k1 * A) / (k3 * x * x)},
+            {y: (x) => k2 * B / (k3 * x)}
+        ],
+        // The trace of the Jacobian at the fixed point, k₂B - k₄ - k₃X*², changes sign here
+        hopfThreshold: (k4 + k3 * fixedX * fixedX) / k2,
+        // With diffusion coefficients Dx and Dy the steady state loses stability to a band of wavenumbers
+        // (a Turing instability) once Dy·J₁₁ + Dx·J₂₂ > 2√(Dx·Dy·det J), i.e. above this value of B
+        turingThreshold: (Dx, Dy) => (Math.sqrt(k4) + fixedX * Math.sqrt(k3 * Dx / Dy)) ** 2 / k2,
+        // Mass-action propensities for molecule counts [nX, nY] at system size Ω (see stochastic.js), whose
+        // large-Ω limit is `derivatives`; A and B are held at fixed concentrations
+        reactions: [
+            {propensity: (counts, omega) => k1 * A * omega, change: [1, 0]},
+            {propensity: ([nX]) => k2 * B * nX, change: [-1, 1]},
+            {propensity: ([nX, nY], omega) => k3 * nX * (nX - 1) * nY / (omega * omega), change: [1, -1]},
+            {propensity: ([nX]) => k4 * nX, change: [-1, 0]}
+        ]
+    };
+};
+
+// Two-variable Oregonator, Tyson's reduction of the Field–Kőrös–Noyes model of the Belousov–Zhabotinsky reaction:
+// x ∝ [HBrO₂], z ∝ [Ce(IV)], with the fast bromide concentration eliminated.
+// ε dx/dt = x(1 - x) - fz(x - q)/(x + q), dz/dt = x - z. The origin is a saddle; the interior fixed point is returned.
+export const oregonator = ({epsilon, q, f}) => {
+    const ratio = (x) => (x - q) / (x + q);
+    const b = f + q - 1;
+    const fixedX = (-b + Math.sqrt(b * b + 4 * q * (1 + f))) / 2;
+    return {
+        derivatives: ([x, z]) => [(x * (1 - x) - f * z * ratio(x)) / epsilon, x - z],
+        constrain: ([x, z]) => [Math.max(0, x), Math.max(0, z)],
+        fixedPoint: [fixedX, fixedX],
+        jacobian: ([x, z]) => [
+            [(1 - 2 * x - f * z * 2 * q / (x + q) ** 2) / epsilon, -f * ratio(x) / epsilon],
+            [1, -1]
+        ],
+        nullclines: [
+            {y: (x) => x * (1 - x) * (x + q) / (f * (x - q))},
+            {y: (x) => x}
+        ]
+    };
+};
+
+// Sel'kov model of glycolysis: x ∝ [ADP], y ∝ [F6P], with phosphofructokinase activated by ADP.
+// dx/dt = -x + ay + x²y, dy/dt = b - ay - x²y
+export const selkov = ({a, b}) => ({
+    derivatives: ([x, y]) => [-x + a * y + x * x * y, b - a * y - x * x * y],
+    constrain: ([x, y]) => [Math.max(0, x), Math.max(0, y)],
+    fixedPoint: [b, b / (a + b * b)],
+    jacobian: ([x, y]) => [
+        [-1 + 2 * x * y, a + x * x],
+        [-2 * x * y, -(a + x * x)]
+    ],
+    nullclines: [
+        {y: (x) => x / (a + x * x)},
+        {y: (x) => b / (a + x * x)}
+    ]
+});
+
+// Lotka–Volterra predator–prey model: dx/dt = αx - βxy, dy/dt = δxy - γy.
+// The interior fixed point is a center surrounded by closed orbits; the origin is a saddle.
+export const lotkaVolterra = ({alpha, beta, delta, gamma}) => ({
+    derivatives: ([x, y]) => [alpha * x - beta * x * y, delta * x * y - gamma * y],
+    constrain: ([x, y]) => [Math.max(0, x), Math.max(0, y)],
+    fixedPoint: [gamma / delta, alpha / beta],
+    jacobian: ([x, y]) => [
+        [alpha - beta * y, -beta * x],
+        [delta * y, delta * x - gamma]
+    ],
+    // Each nullcline also contains one of the axes
+    nullclines: [
+        {y: () => alpha / beta},
+        {x: () => gamma / delta}
+    ]
+});
+
+// FitzHugh–Nagumo neuron model: dv/dt = v - v³/3 - w + I, dw/dt = ε(v + a - bw).
+// The fixed point is the single real root of the cubic v³ + 3(1/b - 1)v + 3(a/b - I) = 0, unique for b ≤ 1.
+export const fitzhughNagumo = ({current, a, b, epsilon}) => {
+    const fixedV = depressedCubicRoots(3 * (1 / b - 1), 3 * (a / b - current))[0];
+    return {
+        derivatives: ([v, w]) => [v - v * v * v / 3 - w + current, epsilon * (v + a - b * w)],
+        fixedPoint: [fixedV, (fixedV + a) / b],
+        jacobian: ([v]) => [
+            [1 - v * v, -1],
+            [epsilon, -epsilon * b]
+        ],
+        nullclines: [
+            {y: (v) => v - v * v * v / 3 + current},
+            {y: (v) => (v + a) / b}
+        ]
+    };
+};
+
+// Van der Pol oscillator: dx/dt = y, dy/dt = μ(1 - x²)y - x. The origin loses stability at μ = 0.
+export const vanDerPol = ({mu}) => ({
+    derivatives: ([x, y]) => [y, mu * (1 - x * x) * y - x],
+    fixedPoint: [0, 0],
+    jacobian: ([x, y]) => [
+        [0, 1],
+        [-2 * mu * x * y - 1, mu * (1 - x * x)]
+    ],
+    nullclines: [
+        {y: () => 0},
+        {y: (x) => x / (mu * (1 - x * x))}
+    ],
+    hopfThreshold: 0
+});
+
+// Lorenz system: dx/dt = σ(y - x), dy/dt = x(ρ - z) - y, dz/dt = xy - βz
+export const lorenz = ({sigma, rho, beta}) => ({
+    derivatives: ([x, y, z]) => [
+        sigma * (y - x),
+        x * (rho - z) - y,
+        x * y - beta * z
+    ]
+});
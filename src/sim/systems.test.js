@@ -0,0 +1,83 @@
+import {describe, it} from 'node:test';
+import assert from 'node:assert/strict';
+import {linearStability} from './analysis.js';
+import {integrate} from './integrators.js';
+import {OSCILLATORS, getDefaultOscillatorParameters} from './oscillators.js';
+import {brusselator, fitzhughNagumo, oregonator} from './systems.js';
+
+// Asserts that every derivative vanishes at `point`, relative to the size of its terms
+const assertEquilibrium = (system, point) => {
+    const scale = 1 + Math.max(...point.map(Math.abs));
+    system.derivatives(point).forEach(value => {
+        assert.ok(Math.abs(value) < 1e-9 * scale, `derivative ${value} at [${point}]`);
+    });
+};
+
+describe('brusselator', () => {
+    it('has its fixed point at (A, B/A) with unit rates', () => {
+        for (const [A, B] of [[1, 3], [2, 5.5], [4.5, 6.95]]) {
+            const system = brusselator({A, B});
+            assert.deepEqual(system.fixedPoint, [A, B / A]);
+            assertEquilibrium(system, system.fixedPoint);
+        }
+    });
+
+    it('loses stability at the Hopf threshold B = 1 + A²', () => {
+        for (const A of [0.5, 1, 2]) {
+            const threshold = 1 + A * A;
+            assert.ok(Math.abs(brusselator({A, B: 1}).hopfThreshold - threshold) < 1e-12);
+            const trace = (B) => {
+                const system = brusselator({A, B});
+                return linearStability(system.jacobian(system.fixedPoint)).trace;
+            };
+            assert.ok(trace(threshold - 0.01) < 0);
+            assert.ok(trace(threshold + 0.01) > 0);
+
+            // Distance from the fixed point after starting slightly off it
+            const offset = (B) => {
+                const [x, y] = integrate(brusselator({A, B}), [A + 0.1, B / A], 0.01, 20000);
+                return Math.hypot(x - A, y - B / A);
+            };
+            assert.ok(offset(threshold - 0.2) < 1e-3);
+            assert.ok(offset(threshold + 0.2) > 0.1);
+        }
+    });
+});
+
+describe('oregonator', () => {
+    it('has an interior fixed point where both derivatives vanish', () => {
+        const cases = [
+            {epsilon: 0.04, q: 0.0008, f: 1},
+            {epsilon: 0.1, q: 0.002, f: 0.5},
+            {epsilon: 0.2, q: 0.01, f: 2.5}
+        ];
+        for (const parameters of cases) {
+            const system = oregonator(parameters);
+            assert.ok(system.fixedPoint[0] > parameters.q);
+            assertEquilibrium(system, system.fixedPoint);
+        }
+    });
+});
+
+describe('fitzhughNagumo', () => {
+    it('has a fixed point where both derivatives vanish', () => {
+        const cases = [
+            {current: 0, a: 0.7, b: 0.8, epsilon: 0.08},
+            {current: 0.5, a: 0.7, b: 0.8, epsilon: 0.08},
+            {current: 1.5, a: 0.3, b: 1, epsilon: 0.1}
+        ];
+        for (const parameters of cases) {
+            const system = fitzhughNagumo(parameters);
+            assertEquilibrium(system, system.fixedPoint);
+        }
+    });
+});
+
+describe('OSCILLATORS', () => {
+    it('place every fixed point at a zero of the derivatives at the default parameters', () => {
+        Object.entries(OSCILLATORS).forEach(([id, oscillator]) => {
+            const system = oscillator.system(getDefaultOscillatorParameters(id));
+            assertEquilibrium(system, system.fixedPoint);
+        });
+    });
+});
@@ -0,0 +1,86 @@
+// 分岔图的默认参数、切换模型时的参数以及从 URL 恢复参数的校验
+
+import {DEFAULT_MAP, MAPS, getDefaultParameters, getSweepStateRange} from '../sim/maps.js';
+import {COLORMAPS} from './colormaps.js';
+import {restoreNumber, restoreNumbers} from '../hooks/useUrlState.js';
+
+export const RESOLUTION_OPTIONS = [500, 1000, 2000, 4000];
+
+export const DEFAULT_PARAMETERS = {
+    model: DEFAULT_MAP,
+    minParameter: 2.0,   // 横轴扫描参数的范围
+    maxParameter: 4.0,
+    minPopulation: 0,    // 纵轴显示窗口
+    maxPopulation: 1000,
+    initialPopulation: 100,
+    settlePeriods: 1000, // 稳定期，跳过前面的过渡期
+    samplePeriods: 100,  // 采样期，收集振荡值
+    resolution: 2000,    // 扫描参数方向的列数
+    ...getDefaultParameters(DEFAULT_MAP)
+};
+
+export const DEFAULT_DISPLAY = {colormap: 'inferno', colorMode: 'density'};
+
+// 切换模型时的参数：模型默认值、默认扫描范围及对应的纵轴窗口，采样设置沿用当前值
+export const getModelParameters = (model, settings = DEFAULT_PARAMETERS) => {
+    if (model === DEFAULT_MAP) {
+        const {settlePeriods, samplePeriods, resolution} = settings;
+        return {...DEFAULT_PARAMETERS, settlePeriods, samplePeriods, resolution};
+    }
+
+    const {sweep, initial} = MAPS[model];
+    const modelParameters = getDefaultParameters(model);
+    const [minPopulation, maxPopulation] = getSweepStateRange(model, modelParameters, sweep.min, sweep.max);
+    return {
+        model,
+        minParameter: sweep.min,
+        maxParameter: sweep.max,
+        minPopulation,
+        maxPopulation,
+        initialPopulation: initial.default,
+        settlePeriods: settings.settlePeriods,
+        samplePeriods: settings.samplePeriods,
+        resolution: settings.resolution,
+        ...modelParameters
+    };
+};
+
+// 从 URL 恢复参数：只保留已知的键，缺失或非数值的项取该模型的默认值，数值限制在对应输入的范围内；
+// 范围上下限颠倒时整个范围回退到默认值
+export const restoreParameters = (values) => {
+    const model = values.model in MAPS ? values.model : DEFAULT_MAP;
+    const defaults = getModelParameters(model);
+    const {sweep, initial, parameters} = MAPS[model];
+    // 扫描范围的输入接受扫描参数的整个取值范围，而不只是默认扫描窗口
+    const {min, max} = parameters[sweep.parameter];
+
+    let minParameter = restoreNumber(values.minParameter, defaults.minParameter, min, max);
+    let maxParameter = restoreNumber(values.maxParameter, defaults.maxParameter, min, max);
+    if (!(minParameter < maxParameter)) {
+        [minParameter, maxParameter] = [defaults.minParameter, defaults.maxParameter];
+    }
+    let minPopulation = restoreNumber(values.minPopulation, defaults.minPopulation);
+    let maxPopulation = restoreNumber(values.maxPopulation, defaults.maxPopulation);
+    if (!(minPopulation < maxPopulation)) {
+        [minPopulation, maxPopulation] = [defaults.minPopulation, defaults.maxPopulation];
+    }
+
+    return {
+        ...defaults,
+        ...restoreNumbers(values, parameters, defaults),
+        model,
+        minParameter,
+        maxParameter,
+        minPopulation,
+        maxPopulation,
+        initialPopulation: restoreNumber(values.initialPopulation, defaults.initialPopulation, initial.min, initial.max),
+        settlePeriods: Math.round(restoreNumber(values.settlePeriods, defaults.settlePeriods, 100, 2000)),
+        samplePeriods: Math.round(restoreNumber(values.samplePeriods, defaults.samplePeriods, 50, 500)),
+        resolution: RESOLUTION_OPTIONS.includes(values.resolution) ? values.resolution : defaults.resolution
+    };
+};
+
+export const restoreDisplay = (values) => ({
+    colormap: values.colormap in COLORMAPS ? values.colormap : DEFAULT_DISPLAY.colormap,
+    colorMode: ['density', 'period'].includes(values.colorMode) ? values.colorMode : DEFAULT_DISPLAY.colorMode
+});
@@ -0,0 +1,47 @@
+import {describe, it} from 'node:test';
+import assert from 'node:assert/strict';
+import {getModelParameters, restoreDisplay, restoreParameters} from './bifurcationSettings.js';
+
+describe('restoreParameters', () => {
+    it('keeps sweep ranges outside the default window but inside the parameter range', () => {
+        const cases = [
+            {model: 'logistic', minParameter: 1, maxParameter: 2.5},
+            {model: 'tent', minParameter: 0.5, maxParameter: 0.9},
+            {model: 'hassell', minParameter: 8, maxParameter: 15}
+        ];
+        for (const range of cases) {
+            const parameters = {...getModelParameters(range.model), ...range};
+            assert.deepEqual(restoreParameters(parameters), parameters);
+        }
+    });
+
+    it('clamps the sweep range to the parameter range', () => {
+        const {minParameter, maxParameter} = restoreParameters({model: 'logistic', minParameter: -5, maxParameter: 9});
+        assert.equal(minParameter, 0.1);
+        assert.equal(maxParameter, 4);
+    });
+
+    it('falls back to the defaults for invalid values and reversed ranges', () => {
+        const defaults = getModelParameters('logistic');
+        const restored = restoreParameters({
+            model: 'logistic', resolution: 100000, growthRate: 'abc', minParameter: 3.5, maxParameter: 3
+        });
+        assert.equal(restored.resolution, defaults.resolution);
+        assert.equal(restored.growthRate, defaults.growthRate);
+        assert.equal(restored.minParameter, defaults.minParameter);
+        assert.equal(restored.maxParameter, defaults.maxParameter);
+    });
+
+    it('drops unknown keys', () => {
+        const restored = restoreParameters({model: 'logistic', extra: 1});
+        assert.deepEqual(restored, getModelParameters('logistic'));
+    });
+});
+
+describe('restoreDisplay', () => {
+    it('keeps only known colormaps and color modes', () => {
+        assert.deepEqual(restoreDisplay({colormap: 'viridis', colorMode: 'period', extra: 1}),
+            {colormap: 'viridis', colorMode: 'period'});
+        assert.deepEqual(restoreDisplay({colormap: 'nope', colorMode: 'nope'}), {colormap: 'inferno', colorMode: 'density'});
+    });
+});
@@ -0,0 +1,54 @@
+// Colormaps as evenly spaced RGB anchor stops, expanded into 256-entry lookup tables on demand
+
+export const COLORMAPS = {
+    inferno: {
+        label: 'Inferno',
+        stops: [[0, 0, 4], [40, 11, 84], [101, 21, 110], [159, 42, 99], [212, 72, 66], [245, 125, 21], [250, 193, 39], [252, 255, 164]]
+    },
+    viridis: {
+        label: 'Viridis',
+        stops: [[68, 1, 84], [70, 50, 127], [54, 92, 141], [39, 127, 142], [31, 161, 135], [74, 194, 109], [159, 218, 58], [253, 231, 37]]
+    },
+    magma: {
+        label: 'Magma',
+        stops: [[0, 0, 4], [28, 16, 68], [79, 18, 123], [129, 37, 129], [181, 54, 122], [229, 80, 100], [251, 135, 97], [252, 253, 191]]
+    },
+    ocean: {
+        label: 'Ocean',
+        stops: [[8, 29, 88], [37, 52, 148], [34, 94, 168], [29, 145, 192], [65, 182, 196], [127, 205, 187], [199, 233, 180], [255, 255, 217]]
+    },
+    grayscale: {
+        label: 'Grayscale',
+        stops: [[40, 40, 40], [255, 255, 255]]
+    }
+};
+
+const lookupTables = {};
+
+// Returns a Uint8Array of 256 packed RGB triples for the named colormap
+export const getColormapLUT = (name) => {
+    if (lookupTables[name]) return lookupTables[name];
+
+    const {stops} = COLORMAPS[name] || COLORMAPS.inferno;
+    const lut = new Uint8Array(256 * 3);
+    for (let i = 0; i < 256; i++) {
+        const position = (i / 255) * (stops.length - 1);
+        const lower = Math.min(Math.floor(position), stops.length - 2);
+        const fraction = position - lower;
+        for (let channel = 0; channel < 3; channel++) {
+            lut[i * 3 + channel] = Math.round(
+                stops[lower][channel] + (stops[lower + 1][channel] - stops[lower][channel]) * fraction
+            );
+        }
+    }
+
+    lookupTables[name] = lut;
+    return lut;
+};
+
+// Maps t in [0, 1] to a CSS rgb() string, used for legends
+export const colormapCss = (name, t) => {
+    const lut = getColormapLUT(name);
+    const index = Math.max(0, Math.min(255, Math.round(t * 255))) * 3;
+    return `rgb(${lut[index]}, ${lut[index + 1]}, ${lut[index + 2]})`;
+};
@@ -0,0 +1,233 @@
+// Fading trail line for Three.js scenes, stored in a ring buffer so each frame uploads only the new vertex.
+//
+// The buffer holds every point twice, at slot i and i + capacity, so the newest `count` points are always
+// one contiguous run of vertices that can be drawn with a single draw range.
+// Each vertex carries its serial number and a scalar value (e.g. speed); the shader derives the point's age
+// from the serial number, so the colors of old points never have to be rewritten.
+// Sample times are kept alongside on the CPU only, for 2D views drawn from the same buffer.
+
+import * as THREE from 'three';
+import {getColormapLUT} from './colormaps.js';
+
+export const TRAIL_COLOR_MODES = {
+    solid: {label: 'Solid'},
+    age: {label: 'Age (fading tail)'},
+    speed: {label: 'Speed'}
+};
+
+const MODE_INDEX = {solid: 0, age: 1, speed: 2};
+
+const vertexShader = `
+    attribute float serial;
+    attribute float value;
+    uniform float newest;
+    uniform float capacity;
+    uniform vec2 valueRange;
+    varying float vAge;
+    varying float vValue;
+
+    void main() {
+        vAge = clamp((newest - serial) / max(capacity - 1.0, 1.0), 0.0, 1.0);
+        vValue = clamp((value - valueRange.x) / max(valueRange.y - valueRange.x, 1e-9), 0.0, 1.0);
+        gl_Position = projectionMatrix * modelViewMatrix * vec4(position, 1.0);
+    }
+`;
+
+const fragmentShader = `
+    uniform int mode;
+    uniform vec3 color;
+    uniform sampler2D colormap;
+    uniform float opacity;
+    varying float vAge;
+    varying float vValue;
+
+    void main() {
+        vec3 rgb = color;
+        float alpha = opacity;
+        if (mode == 1) {
+            rgb = texture2D(colormap, vec2(1.0 - vAge, 0.5)).rgb;
+            alpha *= 1.0 - vAge;
+        } else if (mode == 2) {
+            rgb = texture2D(colormap, vec2(vValue, 0.5)).rgb;
+        }
+        gl_FragColor = vec4(rgb, alpha);
+    }
+`;
+
+// 256 × 1 RGBA texture of a colormap
+const createColormapTexture = (name) => {
+    const lut = getColormapLUT(name);
+    const data = new Uint8Array(256 * 4);
+    for (let i = 0; i < 256; i++) {
+        data[i * 4] = lut[i * 3];
+        data[i * 4 + 1] = lut[i * 3 + 1];
+        data[i * 4 + 2] = lut[i * 3 + 2];
+        data[i * 4 + 3] = 255;
+    }
+    const texture = new THREE.DataTexture(data, 256, 1, THREE.RGBAFormat);
+    texture.magFilter = THREE.LinearFilter;
+    texture.needsUpdate = true;
+    return texture;
+};
+
+const createBuffers = (capacity) => ({
+    positions: new Float32Array(capacity * 2 * 3),
+    serials: new Float32Array(capacity * 2),
+    values: new Float32Array(capacity * 2),
+    times: new Float64Array(capacity * 2)
+});
+
+// Creates a trail holding up to `capacity` points. The returned object exposes the Three.js `line`
+// and methods to push points, change capacity or appearance, clear and dispose.
+export const createTrail = (capacity, {color = 0x00ffff, mode = 'solid', colormap = 'viridis', opacity = 0.8} = {}) => {
+    const geometry = new THREE.BufferGeometry();
+    const material = new THREE.ShaderMaterial({
+        uniforms: {
+            mode: {value: MODE_INDEX[mode] ?? 0},
+            color: {value: new THREE.Color(color)},
+            colormap: {value: createColormapTexture(colormap)},
+            opacity: {value: opacity},
+            newest: {value: 0},
+            capacity: {value: capacity},
+            valueRange: {value: new THREE.Vector2(0, 1)}
+        },
+        vertexShader,
+        fragmentShader,
+        transparent: true,
+        depthWrite: false
+    });
+    const line = new THREE.Line(geometry, material);
+    // The geometry changes every frame and the buffer's bounding sphere is meaningless for culling
+    line.frustumCulled = false;
+
+    let attributes;
+    let times;
+    // Number of points pushed so far; the newest point's serial number is total - 1
+    let total = 0;
+    let count = 0;
+
+    const allocate = (size) => {
+        const {positions, serials, values, times: sampleTimes} = createBuffers(size);
+        times = sampleTimes;
+        attributes = {
+            position: new THREE.BufferAttribute(positions, 3).setUsage(THREE.DynamicDrawUsage),
+            serial: new THREE.BufferAttribute(serials, 1).setUsage(THREE.DynamicDrawUsage),
+            value: new THREE.BufferAttribute(values, 1).setUsage(THREE.DynamicDrawUsage)
+        };
+        geometry.dispose();
+        Object.entries(attributes).forEach(([name, attribute]) => geometry.setAttribute(name, attribute));
+        capacity = size;
+        material.uniforms.capacity.value = size;
+    };
+
+    // Writes one point into both copies of its slot and marks only those vertices for upload
+    const write = (slot, [x, y, z], serial, value, time) => {
+        for (const index of [slot, slot + capacity]) {
+            attributes.position.array.set([x, y, z], index * 3);
+            attributes.serial.array[index] = serial;
+            attributes.value.array[index] = value;
+            times[index] = time;
+            attributes.position.addUpdateRange(index * 3, 3);
+            attributes.serial.addUpdateRange(index, 1);
+            attributes.value.addUpdateRange(index, 1);
+        }
+    };
+
+    // First vertex of the contiguous run holding the newest `count` points
+    const firstVertex = () => (total - 1) % capacity + capacity - count + 1;
+
+    const updateDrawRange = () => {
+        geometry.setDrawRange(count > 0 ? firstVertex() : 0, count);
+        material.uniforms.newest.value = total - 1;
+        Object.values(attributes).forEach(attribute => {
+            attribute.needsUpdate = true;
+        });
+    };
+
+    allocate(capacity);
+
+    return {
+        line,
+
+        push(point, value = 0, time = total) {
+            write(total % capacity, point, total, value, time);
+            total++;
+            count = Math.min(count + 1, capacity);
+            updateDrawRange();
+        },
+
+        // Changes the capacity, keeping the newest points that still fit
+        resize(size) {
+            if (size === capacity) return;
+
+            const kept = Math.min(count, size);
+            const points = [];
+            for (let k = kept; k >= 1; k--) {
+                const slot = (total - k) % capacity;
+                points.push([
+                    [...attributes.position.array.subarray(slot * 3, slot * 3 + 3)],
+                    total - k,
+                    attributes.value.array[slot],
+                    times[slot]
+                ]);
+            }
+
+            allocate(size);
+            points.forEach(([point, serial, value, time]) => write(serial % size, point, serial, value, time));
+            count = kept;
+            if (count > 0) updateDrawRange();
+            else geometry.setDrawRange(0, 0);
+        },
+
+        // Oldest-to-newest views into the buffer: positions (packed xyz), values and times, plus the capacity,
+        // the serial number of the newest point and the current value range. Valid until the next push.
+        snapshot() {
+            const start = count > 0 ? firstVertex() : 0;
+            return {
+                count,
+                capacity,
+                newest: total - 1,
+                positions: attributes.position.array.subarray(start * 3, (start + count) * 3),
+                values: attributes.value.array.subarray(start, start + count),
+                times: times.subarray(start, start + count),
+                valueRange: material.uniforms.valueRange.value.toArray()
+            };
+        },
+
+        // Position of the point with the given serial number, or null once it has left the trail
+        getPoint(serial) {
+            if (serial < total - count || serial >= total) return null;
+            const slot = serial % capacity;
+            return [...attributes.position.array.subarray(slot * 3, slot * 3 + 3)];
+        },
+
+        clear() {
+            total = 0;
+            count = 0;
+            geometry.setDrawRange(0, 0);
+        },
+
+        setColor(value) {
+            material.uniforms.color.value.set(value);
+        },
+
+        setMode(value) {
+            material.uniforms.mode.value = MODE_INDEX[value] ?? 0;
+        },
+
+        setColormap(name) {
+            material.uniforms.colormap.value.dispose();
+            material.uniforms.colormap.value = createColormapTexture(name);
+        },
+
+        setValueRange(min, max) {
+            material.uniforms.valueRange.value.set(min, max);
+        },
+
+        dispose() {
+            geometry.dispose();
+            material.uniforms.colormap.value.dispose();
+            material.dispose();
+        }
+    };
+};
@@ -0,0 +1,75 @@
+// 分岔图计算 Worker：按列分块计算密度网格，逐块回传以便主线程渐进渲染
+import {bifurcationColumn, findPeriodDoublings, getMap} from '../sim/index.js';
+
+// 每个任务大约分成的块数
+const TARGET_CHUNKS = 20;
+
+let activeJobId = null;
+
+// 计算单个参数列：将轨道访问计入该列的直方图，返回李雅普诺夫指数和吸引子周期
+const computeColumn = (parameterValue, parameters, rows, histogram, offset) => {
+    const {model, initialPopulation, settlePeriods, samplePeriods, minPopulation, maxPopulation} = parameters;
+    const modelParameters = {...parameters, [getMap(model).sweep.parameter]: parameterValue};
+    const populationSpan = maxPopulation - minPopulation;
+
+    const {orbit, lyapunov, period} =
+        bifurcationColumn(model, modelParameters, initialPopulation, settlePeriods, samplePeriods);
+
+    // 将轨道访问分箱到像素行，超出纵轴窗口的值不计入
+    for (let t = 0; t < orbit.length; t++) {
+        const row = Math.floor((orbit[t] - minPopulation) / populationSpan * rows);
+        if (row >= 0 && row < rows) {
+            histogram[offset + row]++;
+        }
+    }
+
+    return {parameter: parameterValue, lyapunov, period};
+};
+
+const runJob = (jobId, parameters, rows) => {
+    const {minParameter, maxParameter, resolution} = parameters;
+
+    const totalColumns = resolution;
+    const stepSize = (maxParameter - minParameter) / Math.max(totalColumns - 1, 1);
+    const chunkColumns = Math.ceil(totalColumns / TARGET_CHUNKS);
+
+    // 记录每列的参数值和周期，全部完成后用于定位倍周期分岔点
+    const values = [];
+    const periods = [];
+
+    const computeChunk = (start) => {
+        // 用户已提交新任务，放弃当前任务
+        if (jobId !== activeJobId) return;
+
+        const end = Math.min(start + chunkColumns, totalColumns);
+        // 列优先存储：每列 rows 个计数
+        const density = new Uint32Array((end - start) * rows);
+        const exponents = [];
+        for (let i = start; i < end; i++) {
+            const column = computeColumn(minParameter + i * stepSize, parameters, rows, density, (i - start) * rows);
+            exponents.push(column);
+            values.push(column.parameter);
+            periods.push(column.period);
+        }
+
+        self.postMessage({type: 'chunk', jobId, density, exponents, start, end, total: totalColumns}, [density.buffer]);
+
+        // 让出事件循环，以便接收新任务消息
+        if (end < totalColumns) {
+            setTimeout(() => computeChunk(end), 0);
+        } else {
+            const doublings = findPeriodDoublings(
+                parameters.model, parameters, values, periods, parameters.initialPopulation, parameters.settlePeriods
+            );
+            self.postMessage({type: 'doublings', jobId, doublings});
+        }
+    };
+
+    computeChunk(0);
+};
+
+self.onmessage = (event) => {
+    const {jobId, parameters, rows} = event.data;
+    activeJobId = jobId;
+    runJob(jobId, parameters, rows);
+};
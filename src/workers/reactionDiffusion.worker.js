@@ -0,0 +1,96 @@
+// Reaction–diffusion worker: keeps stepping the 2D grid in the background and posts a frame of the X field to the
+// main thread after each slice of computation
+import {createField, getOscillator, perturbField, seedField, stableTimeStep, stepReactionDiffusion} from '../sim/index.js';
+
+// Computation time per frame in milliseconds, leaving room to receive messages from the main thread
+const FRAME_BUDGET = 16;
+
+// Size of a pointer perturbation relative to the steady state: X is raised and Y lowered
+const PERTURBATION = [1, -0.5];
+
+let field = null;
+let system = null;
+// Diffusion coefficients and boundary, and the largest step the kinetics allow (the oscillator's dt)
+let options = null;
+let maxStep = 0;
+let time = 0;
+let paused = false;
+let timer = null;
+
+const configure = ({model, parameters, Dx, Dy, boundary}) => {
+    const oscillator = getOscillator(model);
+    system = oscillator.system(parameters);
+    options = {Dx, Dy, boundary};
+    maxStep = oscillator.dt;
+};
+
+// Posts a Float32 copy of the current X field and its range
+const postFrame = () => {
+    const values = Float32Array.from(field.x);
+    let min = Infinity;
+    let max = -Infinity;
+    for (let i = 0; i < values.length; i++) {
+        min = Math.min(min, values[i]);
+        max = Math.max(max, values[i]);
+    }
+    self.postMessage({type: 'frame', size: field.size, values, min, max, time}, [values.buffer]);
+};
+
+const run = () => {
+    timer = null;
+    if (paused || !field) return;
+
+    // The step is chosen afresh for the current field, then as many steps as fit in the frame budget are taken
+    const dt = stableTimeStep(field, system, options, maxStep);
+    const start = performance.now();
+    do {
+        stepReactionDiffusion(field, system, {...options, dt});
+        time += dt;
+    } while (performance.now() - start < FRAME_BUDGET);
+
+    postFrame();
+    // Yield to the event loop so parameter updates and perturbations are received
+    timer = setTimeout(run, 0);
+};
+
+const resume = () => {
+    if (timer === null && !paused) {
+        timer = setTimeout(run, 0);
+    }
+};
+
+self.onmessage = (event) => {
+    const message = event.data;
+    switch (message.type) {
+        // New parameters, diffusion or boundary: the current field keeps evolving
+        case 'configure':
+            configure(message);
+            break;
+        // New grid, which needs a prior configure: seeded with noise around the steady state
+        case 'init':
+            field = seedField(createField(message.size, system.fixedPoint), system.fixedPoint);
+            time = 0;
+            postFrame();
+            resume();
+            break;
+        case 'seed':
+            if (!field) return;
+            seedField(field, system.fixedPoint);
+            time = 0;
+            postFrame();
+            break;
+        case 'perturb': {
+            if (!field) return;
+            const [fixedX, fixedY] = system.fixedPoint;
+            perturbField(field, message.column, message.row, message.radius,
+                [PERTURBATION[0] * fixedX, PERTURBATION[1] * fixedY]);
+            // Post immediately while paused too, so the perturbation shows
+            if (paused) postFrame();
+            break;
+        }
+        case 'pause':
+            paused = message.paused;
+            resume();
+            break;
+    }
+};